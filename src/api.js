@@ -0,0 +1,393 @@
+/**
+ * REST API - JSON interface to targets, scans, scripts, versions and diffs
+ * Every request needs "Authorization: Bearer <token>"; scans run as queued jobs
+ */
+
+import { createServer } from 'http';
+import { timingSafeEqual } from 'crypto';
+import { Router, HttpError } from './router.js';
+import { Notifications } from './notifiers.js';
+
+const MAX_BODY_SIZE = 1024 * 1024;
+const MAX_JOBS = 100;
+const MAX_QUEUED_JOBS = 50; // Scans waiting to run; more are refused with 429
+
+// Non-JSON or non-200 responses; plain handler return values are sent as JSON with 200
+class ApiResponse {
+  constructor(status, body, contentType = 'application/json; charset=utf-8') {
+    this.status = status;
+    this.body = body;
+    this.contentType = contentType;
+  }
+}
+
+export class ApiServer {
+  constructor(monitor, options = {}) {
+    if (!options.token) {
+      throw new Error('An API token is required');
+    }
+
+    this.monitor = monitor;
+    this.storage = monitor.storage;
+    this.token = Buffer.from(options.token);
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 4001;
+    this.server = null;
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.nextJobId = 1;
+    this.running = false;
+
+    this.router = new Router()
+      .get('/api/targets', (req, params, query) => this.listTargets(query))
+      .get('/api/targets/:domain', (req, params) => this.getTarget(params.domain))
+      .get('/api/targets/:domain/scans', (req, params, query) => this.getTargetScans(params.domain, query))
+      .get('/api/targets/:domain/scripts', (req, params, query) => this.getTargetScripts(params.domain, query))
+      .get('/api/targets/:domain/endpoints', (req, params) => this.getTargetEndpoints(params.domain))
+      .get('/api/targets/:domain/renames', (req, params) => this.getTargetRenames(params.domain))
+      .get('/api/scans/:id', (req, params) => this.getScan(this.parseId(params.id)))
+      .post('/api/scans', async (req) => this.queueScan(await this.readJson(req)))
+      .get('/api/jobs', () => ({ jobs: Array.from(this.jobs.values()).reverse().map(j => this.describeJob(j)) }))
+      .get('/api/jobs/:id', (req, params) => this.getJob(this.parseId(params.id)))
+      .get('/api/scripts/:id', (req, params) => this.getScript(this.parseId(params.id)))
+      .get('/api/scripts/:id/diff', (req, params, query) => this.getDiff(this.parseId(params.id), query))
+      .get('/api/versions/:id', (req, params) => this.getVersion(this.parseId(params.id)))
+      .get('/api/versions/:id/content', (req, params) => this.getVersionContent(this.parseId(params.id)));
+  }
+
+  /**
+   * Start listening; resolves with the server URL
+   */
+  start() {
+    this.server = createServer((req, res) => this.handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        resolve(`http://${this.host}:${port}`);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+    });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (!this.isAuthorized(req)) {
+        throw new HttpError(401, 'Missing or invalid API token');
+      }
+
+      // Pick up scans written by other processes, unless one of ours is mid-write
+      if (!this.running) this.storage.refresh();
+
+      const route = this.router.match(req.method, url.pathname);
+      if (!route) throw new HttpError(404, 'Not found');
+
+      const result = await route.handler(req, route.params, Object.fromEntries(url.searchParams));
+
+      if (result instanceof ApiResponse && typeof result.body === 'string') {
+        res.writeHead(result.status, { 'Content-Type': result.contentType });
+        res.end(result.body);
+        return;
+      }
+
+      if (result instanceof ApiResponse) {
+        this.sendJson(res, result.status, result.body);
+      } else {
+        this.sendJson(res, 200, result);
+      }
+    } catch (error) {
+      const status = error.status || 500;
+      this.sendJson(res, status, { error: error.message });
+    }
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  isAuthorized(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+
+    const given = Buffer.from(match[1].trim());
+    return given.length === this.token.length && timingSafeEqual(given, this.token);
+  }
+
+  parseId(value) {
+    const id = parseInt(value);
+    if (Number.isNaN(id)) throw new HttpError(400, `Invalid id "${value}"`);
+    return id;
+  }
+
+  readJson(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf-8');
+        if (!text) return resolve({});
+        try {
+          resolve(JSON.parse(text));
+        } catch (e) {
+          reject(new HttpError(400, `Invalid JSON body: ${e.message}`));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  requireTarget(domain) {
+    const target = this.storage.getTarget(domain);
+    if (!target) throw new HttpError(404, `Target "${domain}" not found`);
+    return target;
+  }
+
+  listTargets(query = {}) {
+    return { targets: this.monitor.listTargets({ program: query.program }).map(t => publicTarget(t)) };
+  }
+
+  getTarget(domain) {
+    const target = this.requireTarget(domain);
+    const summary = this.monitor.listTargets().find(t => t.id === target.id);
+
+    return {
+      ...publicTarget(summary),
+      auth: target.auth ? this.monitor.getTargetAuth(domain).describe() : null
+    };
+  }
+
+  getTargetScans(domain, query) {
+    const target = this.requireTarget(domain);
+    const limit = parseInt(query.limit) || 50;
+    return { scans: this.storage.getTargetScans(target.id, limit) };
+  }
+
+  getTargetScripts(domain, query) {
+    const target = this.requireTarget(domain);
+    const includeChildren = query.children === 'true' || query.children === '1';
+    return { scripts: this.storage.getTargetScripts(target.id, { includeChildren }) };
+  }
+
+  getTargetEndpoints(domain) {
+    this.requireTarget(domain);
+    return this.monitor.getEndpoints(domain);
+  }
+
+  getTargetRenames(domain) {
+    this.requireTarget(domain);
+    return { target: domain, renames: this.monitor.getRenames(domain) };
+  }
+
+  getScan(scanId) {
+    const scan = this.storage.getScan(scanId);
+    if (!scan) throw new HttpError(404, `Scan ${scanId} not found`);
+
+    return { ...scan, versions: this.storage.getScanVersions(scanId).map(v => publicVersion(v)) };
+  }
+
+  getScript(scriptId) {
+    const script = this.storage.getScript(scriptId);
+    if (!script) throw new HttpError(404, `Script ${scriptId} not found`);
+
+    return {
+      ...script,
+      versions: this.storage.getScriptVersions(scriptId).map(v => publicVersion(v)),
+      children: this.storage.getChildScripts(scriptId).map(c => ({ id: c.id, kind: c.kind, path: c.path }))
+    };
+  }
+
+  /**
+   * Diff two versions of a script (defaults to the two most recent); ?semantic=1 for the structural diff
+   */
+  async getDiff(scriptId, query) {
+    if (!this.storage.getScript(scriptId)) throw new HttpError(404, `Script ${scriptId} not found`);
+
+    const versions = this.storage.getScriptVersions(scriptId);
+    if (versions.length < 2 && !(query.v1 && query.v2)) {
+      throw new HttpError(400, 'Only one version available, no diff possible');
+    }
+
+    const v1 = query.v1 ? this.parseId(query.v1) : versions[1].id;
+    const v2 = query.v2 ? this.parseId(query.v2) : versions[0].id;
+
+    for (const id of [v1, v2]) {
+      if (!versions.some(v => v.id === id)) {
+        throw new HttpError(404, `Version ${id} does not belong to script ${scriptId}`);
+      }
+    }
+
+    if (query.semantic === '1' || query.semantic === 'true') {
+      let semantic;
+      try {
+        semantic = await this.monitor.diffVersions(scriptId, v1, v2, { semantic: true });
+      } catch (error) {
+        throw new HttpError(422, error.message);
+      }
+      const { added, removed, modified, stats } = semantic;
+      return { scriptId, v1, v2, stats, added, removed, modified };
+    }
+
+    const diff = await this.monitor.diffVersions(scriptId, v1, v2);
+    return { scriptId, v1, v2, stats: diff.stats, changes: diff.changes };
+  }
+
+  getVersion(versionId) {
+    const version = this.storage.getVersionContent(versionId);
+    if (!version) throw new HttpError(404, `Version ${versionId} not found`);
+    return publicVersion(version);
+  }
+
+  getVersionContent(versionId) {
+    const version = this.storage.getVersionContent(versionId);
+    if (!version) throw new HttpError(404, `Version ${versionId} not found`);
+    if (!version.content) throw new HttpError(410, 'Version content not available');
+    return new ApiResponse(200, version.content, 'application/javascript; charset=utf-8');
+  }
+
+  /**
+   * Queue a scan; body is { url, auth: { cookies, headers, scope }, program }
+   * Login recipes and storage-state files are not accepted over the network
+   */
+  queueScan(body) {
+    if (typeof body.url !== 'string' || !body.url) {
+      throw new HttpError(400, 'Body needs a "url" string');
+    }
+
+    try {
+      new URL(this.monitor.normalizeUrl(body.url));
+    } catch (e) {
+      throw new HttpError(400, `Invalid url "${body.url}"`);
+    }
+
+    let auth;
+    if (body.auth) {
+      const { cookies = [], headers = [], scope } = body.auth;
+      const strings = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+      if (!strings(cookies) || !strings(headers)) {
+        throw new HttpError(400, '"auth.cookies" and "auth.headers" must be arrays of strings');
+      }
+      auth = { cookies, headers, scope };
+    }
+
+    if (body.program !== undefined && (typeof body.program !== 'string' || !body.program)) {
+      throw new HttpError(400, '"program" must be a non-empty string');
+    }
+
+    if (this.queue.length >= MAX_QUEUED_JOBS) {
+      throw new HttpError(429, `Too many queued scans (${MAX_QUEUED_JOBS}); try again later`);
+    }
+
+    const job = {
+      id: this.nextJobId++,
+      url: body.url,
+      auth,
+      program: body.program,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+
+    // Forget the oldest finished jobs
+    for (const old of this.jobs.values()) {
+      if (this.jobs.size <= MAX_JOBS) break;
+      if (old.status === 'completed' || old.status === 'failed') this.jobs.delete(old.id);
+    }
+
+    this.runQueue();
+    return new ApiResponse(202, this.describeJob(job));
+  }
+
+  /**
+   * Run queued scans one at a time
+   */
+  async runQueue() {
+    if (this.running) return;
+    this.running = true;
+
+    while (this.queue.length > 0) {
+      const job = this.queue.shift();
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+
+      try {
+        this.storage.refresh();
+        job.result = await this.monitor.scan(job.url, { auth: job.auth, program: job.program });
+        job.status = 'completed';
+      } catch (error) {
+        job.error = error.message;
+        job.status = 'failed';
+      }
+
+      job.finishedAt = new Date().toISOString();
+      job.auth = undefined;
+    }
+
+    this.running = false;
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) throw new HttpError(404, `Job ${jobId} not found`);
+    return { ...this.describeJob(job), result: job.result };
+  }
+
+  describeJob(job) {
+    return {
+      id: job.id,
+      url: job.url,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      scanId: job.result ? job.result.scanId : null,
+      error: job.error
+    };
+  }
+}
+
+/**
+ * Target record without saved credentials or notification secrets
+ */
+function publicTarget(target) {
+  const { auth, notifications = [], ...rest } = target;
+  return { ...rest, hasAuth: Boolean(auth), notifications: notifications.map(c => Notifications.describe(c)) };
+}
+
+/**
+ * Version record without content or local file paths
+ */
+function publicVersion(version) {
+  const { content, contentFile, ...rest } = version;
+  return rest;
+}
+
+export default ApiServer;
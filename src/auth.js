@@ -0,0 +1,218 @@
+/**
+ * Auth Config - Cookies, request headers and browser storage for authenticated scans
+ * Credentials are scoped to the target's host (and its subdomains) so they are
+ * never sent to third-party script hosts
+ */
+
+import { readFileSync } from 'fs';
+import { LoginFlow } from './login.js';
+
+export class AuthConfig {
+  constructor(config = {}) {
+    this.scope = config.scope || null;
+    this.cookies = config.cookies || [];
+    this.headers = config.headers || {};
+    this.localStorage = config.localStorage || [];
+    this.login = config.login || null; // Login recipe, run in browser mode
+  }
+
+  /**
+   * Build an auth config from CLI-style options
+   * cookies: ["a=1; b=2", ...], headers: ["Authorization: Bearer x", ...], storageState: path, login: path
+   */
+  static fromOptions(options = {}, domain) {
+    const scope = options.scope || domain;
+    const config = { scope, cookies: [], headers: {}, localStorage: [], login: null };
+
+    for (const cookieString of options.cookies || []) {
+      for (const pair of cookieString.split(';')) {
+        const index = pair.indexOf('=');
+        if (index <= 0) continue;
+        config.cookies.push({
+          name: pair.slice(0, index).trim(),
+          value: pair.slice(index + 1).trim(),
+          domain: scope,
+          path: '/'
+        });
+      }
+    }
+
+    for (const header of options.headers || []) {
+      const index = header.indexOf(':');
+      if (index <= 0) {
+        throw new Error(`Invalid header "${header}", expected "Name: value"`);
+      }
+      config.headers[header.slice(0, index).trim()] = header.slice(index + 1).trim();
+    }
+
+    if (options.storageState) {
+      const state = AuthConfig.loadStorageState(options.storageState);
+      config.cookies.push(...state.cookies);
+      config.localStorage.push(...state.localStorage);
+    }
+
+    if (options.login) {
+      config.login = LoginFlow.load(options.login);
+    }
+
+    return new AuthConfig(config);
+  }
+
+  /**
+   * Load a Playwright storage-state file ({ cookies, origins }) or a Puppeteer cookie array
+   */
+  static loadStorageState(path) {
+    let state;
+    try {
+      state = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Invalid storage state file ${path}: ${e.message}`);
+    }
+
+    const rawCookies = Array.isArray(state) ? state : (state.cookies || []);
+    const origins = Array.isArray(state) ? [] : (state.origins || []);
+
+    return {
+      cookies: rawCookies
+        .filter(c => c.name && c.value !== undefined)
+        .map(c => ({
+          name: c.name,
+          value: String(c.value),
+          domain: (c.domain || '').replace(/^\./, ''),
+          path: c.path || '/',
+          secure: c.secure || false,
+          httpOnly: c.httpOnly || false
+        })),
+      localStorage: origins
+        .filter(o => o.origin && Array.isArray(o.localStorage))
+        .map(o => ({
+          origin: o.origin,
+          items: o.localStorage.map(item => ({ name: item.name, value: String(item.value) }))
+        }))
+    };
+  }
+
+  isEmpty() {
+    return this.cookies.length === 0 &&
+      Object.keys(this.headers).length === 0 &&
+      this.localStorage.length === 0 &&
+      !this.login;
+  }
+
+  /**
+   * Whether there are cookies or headers that can be sent without a browser
+   */
+  hasCredentials() {
+    return this.cookies.length > 0 || Object.keys(this.headers).length > 0;
+  }
+
+  /**
+   * Login flow for the recipe, if one is configured
+   */
+  getLoginFlow() {
+    return this.login ? new LoginFlow(this.login) : null;
+  }
+
+  /**
+   * Check whether a host is the given domain or one of its subdomains
+   */
+  hostMatches(host, domain) {
+    if (!domain) return false;
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+
+  /**
+   * Cookies that apply to a URL
+   */
+  cookiesFor(url) {
+    const { hostname, pathname } = new URL(url);
+    return this.cookies.filter(c =>
+      this.hostMatches(hostname, c.domain || this.scope) && pathname.startsWith(c.path || '/')
+    );
+  }
+
+  /**
+   * Extra request headers (including Cookie unless disabled) for a URL
+   */
+  headersFor(url, options = {}) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (e) {
+      return {};
+    }
+
+    const headers = this.hostMatches(hostname, this.scope) ? { ...this.headers } : {};
+    const cookies = options.includeCookies === false ? [] : this.cookiesFor(url);
+
+    if (cookies.length > 0) {
+      headers['Cookie'] = cookies.map(c => `${c.name}=${c.value}`).join('; ');
+    }
+
+    return headers;
+  }
+
+  /**
+   * Cookies in the shape page.setCookie() expects
+   */
+  puppeteerCookies() {
+    return this.cookies.map(c => ({
+      name: c.name,
+      value: c.value,
+      domain: c.domain || this.scope,
+      path: c.path || '/',
+      secure: c.secure || false,
+      httpOnly: c.httpOnly || false
+    }));
+  }
+
+  /**
+   * Copy of this config with extra cookies (e.g. from the browser after a login flow)
+   */
+  withCookies(cookies) {
+    const merged = new Map(this.cookies.map(c => [`${c.name}@${c.domain}`, c]));
+
+    for (const c of cookies) {
+      const cookie = {
+        name: c.name,
+        value: c.value,
+        domain: (c.domain || '').replace(/^\./, '') || this.scope,
+        path: c.path || '/',
+        secure: c.secure || false,
+        httpOnly: c.httpOnly || false
+      };
+      merged.set(`${cookie.name}@${cookie.domain}`, cookie);
+    }
+
+    return new AuthConfig({ ...this.toJSON(), cookies: Array.from(merged.values()) });
+  }
+
+  /**
+   * Masked summary for display
+   */
+  describe() {
+    const mask = (value) => value.length <= 8 ? '****' : `${value.slice(0, 4)}****${value.slice(-2)}`;
+
+    return {
+      scope: this.scope,
+      cookies: this.cookies.map(c => `${c.name}=${mask(c.value)} (${c.domain || this.scope})`),
+      headers: Object.entries(this.headers).map(([name, value]) => `${name}: ${mask(value)}`),
+      localStorage: this.localStorage.map(o => `${o.origin} (${o.items.length} item(s))`),
+      login: this.login
+        ? `${this.login.steps.length} step(s)${this.login.loginUrl ? ` from ${this.login.loginUrl}` : ''}`
+        : null
+    };
+  }
+
+  toJSON() {
+    return {
+      scope: this.scope,
+      cookies: this.cookies,
+      headers: this.headers,
+      localStorage: this.localStorage,
+      login: this.login
+    };
+  }
+}
+
+export default AuthConfig;
@@ -0,0 +1,61 @@
+/**
+ * Blob Store - Content-addressed, gzip-compressed script content
+ * Blobs live at blobs/<first 2 hash chars>/<sha256>.gz; reference counts are kept by Storage
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { gzipSync, gunzipSync } from 'zlib';
+
+export class BlobStore {
+  constructor(dir) {
+    this.dir = dir;
+    if (!existsSync(this.dir)) {
+      mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  path(hash) {
+    return join(this.dir, hash.slice(0, 2), `${hash}.gz`);
+  }
+
+  has(hash) {
+    return existsSync(this.path(hash));
+  }
+
+  /**
+   * Write content under its hash; returns the compressed size
+   */
+  write(hash, content) {
+    const file = this.path(hash);
+    const compressed = gzipSync(content, { level: 9 });
+
+    mkdirSync(join(this.dir, hash.slice(0, 2)), { recursive: true });
+
+    // Write then rename so a crash never leaves a truncated blob behind
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    writeFileSync(tmpFile, compressed);
+    renameSync(tmpFile, file);
+
+    return compressed.length;
+  }
+
+  /**
+   * Read and decompress a blob; null if it does not exist
+   */
+  read(hash) {
+    const file = this.path(hash);
+    if (!existsSync(file)) return null;
+    return gunzipSync(readFileSync(file)).toString('utf-8');
+  }
+
+  delete(hash) {
+    try {
+      unlinkSync(this.path(hash));
+    } catch (e) {
+      // Already gone
+    }
+  }
+}
+
+export default BlobStore;
@@ -0,0 +1,350 @@
+/**
+ * Canonicalizer - Strip build noise from a script before comparing versions
+ * Alpha-renames local identifiers (minifier mangling), masks webpack module/chunk ids, hash-like and
+ * timestamp literals, and drops comments. Two versions with the same canonical form differ only
+ * cosmetically.
+ */
+
+import * as acorn from 'acorn';
+import { isModuleMap } from './modules.js';
+
+const SKIP_KEYS = new Set(['type', 'start', 'end', 'loc', 'range']);
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+const BLOCK_TYPES = ['BlockStatement', 'StaticBlock', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'SwitchStatement'];
+
+// Unix timestamps (seconds) a build could plausibly stamp; other long numbers are ids, limits and the like
+const TIMESTAMP_MIN = Date.UTC(2010, 0, 1) / 1000;
+const TIMESTAMP_MAX = Date.UTC(2040, 0, 1) / 1000;
+
+// Hex runs with both a digit and a letter (content hashes, build ids), epoch timestamps, ISO dates
+const HASH_PATTERN = /\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi;
+const DIGITS_PATTERN = /\b\d{10}(?:\d{3})?\b/g;
+const ISO_PATTERN = /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g;
+
+export class Canonicalizer {
+  /**
+   * Canonical source of a script, or null if it does not parse
+   * The result is still valid JavaScript (so it can be prettified and diffed)
+   */
+  canonicalize(content) {
+    const comments = [];
+    const ast = parse(content, comments);
+    if (!ast) return null;
+
+    try {
+      const scopes = new Map();
+      declare(ast, null, scopes, { next: 0 });
+
+      const edits = comments.map(c => ({
+        start: c.start,
+        end: c.end,
+        text: content.slice(c.start, c.end).includes('\n') ? '\n' : ' '
+      }));
+      resolve(ast, null, { scopes, edits, ids: new Set(), requires: new Set() });
+
+      return applyEdits(content, edits);
+    } catch (e) {
+      // Pathologically deep ASTs overflow the stack; treat like unparseable
+      return null;
+    }
+  }
+
+  /**
+   * True when the two versions differ only by renames, ids, hashes, timestamps, comments or whitespace;
+   * null when either version cannot be parsed
+   */
+  isCosmetic(oldContent, newContent) {
+    const before = this.canonicalize(oldContent);
+    const after = before === null ? null : this.canonicalize(newContent);
+    if (before === null || after === null) return null;
+
+    return collapse(before) === collapse(after);
+  }
+}
+
+class Scope {
+  constructor(parent, isFunction) {
+    this.parent = parent;
+    this.isFunction = isFunction;
+    this.isGlobal = parent === null;
+    this.names = new Map(); // name -> canonical name (null for globals, which are kept)
+  }
+
+  functionScope() {
+    let scope = this;
+    while (!scope.isFunction) scope = scope.parent;
+    return scope;
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.names.has(name)) return scope.names.get(name);
+    }
+    return null;
+  }
+}
+
+function parse(content, comments) {
+  const options = {
+    ecmaVersion: 'latest',
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true
+  };
+
+  for (const sourceType of ['module', 'script']) {
+    comments.length = 0;
+    try {
+      return acorn.parse(content, { ...options, sourceType, onComment: comments });
+    } catch (e) {
+      // Try the next source type
+    }
+  }
+  return null;
+}
+
+/**
+ * Pass 1: build the scope tree and give every local binding a canonical name, in source order
+ */
+function declare(node, scope, scopes, counter) {
+  if (!node || typeof node.type !== 'string') return;
+
+  const bind = (pattern, target) => {
+    for (const name of patternNames(pattern)) {
+      if (!target.names.has(name)) {
+        target.names.set(name, target.isGlobal ? null : `$${counter.next++}`);
+      }
+    }
+  };
+  const enter = (isFunction) => {
+    const inner = new Scope(scope, isFunction);
+    scopes.set(node, inner);
+    return inner;
+  };
+
+  if (node.type === 'Program') {
+    scope = enter(true);
+  } else if (FUNCTION_TYPES.includes(node.type)) {
+    if (node.type === 'FunctionDeclaration' && node.id) bind(node.id, scope);
+    const inner = enter(true);
+    if (node.type === 'FunctionExpression' && node.id) bind(node.id, inner);
+    for (const param of node.params) bind(param, inner);
+    for (const param of node.params) declare(param, inner, scopes, counter);
+    // The body block shares the function scope
+    if (node.body.type === 'BlockStatement') {
+      for (const statement of node.body.body) declare(statement, inner, scopes, counter);
+    } else {
+      declare(node.body, inner, scopes, counter);
+    }
+    return;
+  } else if (node.type === 'ClassDeclaration' && node.id) {
+    bind(node.id, scope);
+  } else if (node.type === 'ClassExpression' && node.id) {
+    scope = enter(false);
+    bind(node.id, scope);
+  } else if (BLOCK_TYPES.includes(node.type)) {
+    scope = enter(false);
+  } else if (node.type === 'CatchClause') {
+    scope = enter(false);
+    if (node.param) bind(node.param, scope);
+  } else if (node.type === 'VariableDeclaration') {
+    const target = node.kind === 'var' ? scope.functionScope() : scope;
+    for (const declarator of node.declarations) bind(declarator.id, target);
+  } else if (node.type === 'ImportDeclaration') {
+    for (const specifier of node.specifiers) bind(specifier.local, scope);
+  }
+
+  forEachChild(node, child => declare(child, scope, scopes, counter));
+}
+
+/**
+ * Pass 2: record an edit for every renamed identifier and masked literal
+ */
+function resolve(node, scope, context) {
+  if (!node || typeof node.type !== 'string') return;
+
+  const { scopes, edits, ids, requires } = context;
+  if (scopes.has(node)) scope = scopes.get(node);
+  const visit = child => resolve(child, scope, context);
+
+  switch (node.type) {
+    case 'Identifier': {
+      const canonical = scope.lookup(node.name);
+      if (canonical) edits.push({ start: node.start, end: node.end, text: canonical });
+      return;
+    }
+
+    case 'Literal':
+      maskLiteral(node, ids.has(node), edits);
+      return;
+
+    case 'TemplateElement': {
+      const masked = maskString(node.value.raw);
+      if (masked !== node.value.raw) edits.push({ start: node.start, end: node.end, text: masked });
+      return;
+    }
+
+    case 'MemberExpression':
+      visit(node.object);
+      if (node.computed) visit(node.property);
+      return;
+
+    case 'Property':
+      if (node.shorthand) {
+        // { a } -> { a: $1 }, keeping the key
+        const local = node.value.type === 'AssignmentPattern' ? node.value.left : node.value;
+        const canonical = local.type === 'Identifier' ? scope.lookup(local.name) : null;
+        if (canonical) edits.push({ start: local.start, end: local.end, text: `${local.name}: ${canonical}` });
+        if (node.value.type === 'AssignmentPattern') visit(node.value.right);
+        return;
+      }
+      if (node.computed || node.key.type === 'Literal') visit(node.key);
+      visit(node.value);
+      return;
+
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      if (node.computed) visit(node.key);
+      visit(node.value);
+      return;
+
+    case 'LabeledStatement':
+      visit(node.body);
+      return;
+
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'MetaProperty':
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+    case 'ExportSpecifier':
+      return;
+
+    case 'ObjectExpression':
+    case 'ArrayExpression':
+      // Webpack module map: numeric keys are module ids, each factory's third parameter is require
+      if (isModuleMap(node)) {
+        const factories = node.type === 'ObjectExpression' ? node.properties.map(p => p.value) : node.elements;
+        for (const property of node.type === 'ObjectExpression' ? node.properties : []) {
+          if (property.key.type === 'Literal' && typeof property.key.value === 'number') ids.add(property.key);
+        }
+        for (const factory of factories) {
+          const param = factory && factory.params[2];
+          if (param && param.type === 'Identifier') requires.add(scopes.get(factory).names.get(param.name));
+        }
+      }
+      break;
+
+    case 'CallExpression':
+      markWebpackIds(node, scope, ids, requires);
+      break;
+  }
+
+  forEachChild(node, visit);
+}
+
+/**
+ * Module and chunk ids: chunk.push([[ids], modules]), require(123) and require.e(45)
+ * where require is a module factory's parameter or the runtime's __webpack_require__
+ */
+function markWebpackIds(node, scope, ids, requires) {
+  const callee = node.callee;
+  const [first] = node.arguments;
+
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.property.name === 'push' &&
+      first?.type === 'ArrayExpression' && first.elements[0]?.type === 'ArrayExpression' &&
+      first.elements[1] && isModuleMap(first.elements[1])) {
+    for (const id of first.elements[0].elements) {
+      if (id?.type === 'Literal') ids.add(id);
+    }
+  }
+
+  const local = callee.type === 'MemberExpression' && !callee.computed && callee.property.name === 'e'
+    ? callee.object
+    : callee;
+  if (node.arguments.length === 1 && first.type === 'Literal' && typeof first.value === 'number' &&
+      local.type === 'Identifier' &&
+      (local.name === '__webpack_require__' || requires.has(scope.lookup(local.name)))) {
+    ids.add(first);
+  }
+}
+
+function maskLiteral(node, isId, edits) {
+  let text = null;
+
+  if (isId) {
+    text = typeof node.value === 'number' ? '0' : '"<id>"';
+  } else if (typeof node.value === 'number') {
+    if (isTimestamp(node.value)) text = '0';
+  } else if (typeof node.value === 'string') {
+    const masked = maskString(node.value);
+    if (masked !== node.value) text = JSON.stringify(masked);
+  }
+
+  if (text !== null) edits.push({ start: node.start, end: node.end, text });
+}
+
+/**
+ * Unix timestamp in seconds or milliseconds between 2010 and 2040
+ */
+function isTimestamp(value) {
+  if (!Number.isInteger(value)) return false;
+  return (value >= TIMESTAMP_MIN && value < TIMESTAMP_MAX) ||
+    (value >= TIMESTAMP_MIN * 1000 && value < TIMESTAMP_MAX * 1000);
+}
+
+function maskString(value) {
+  return value
+    .replace(ISO_PATTERN, '<timestamp>')
+    .replace(DIGITS_PATTERN, digits => isTimestamp(Number(digits)) ? '<timestamp>' : digits)
+    .replace(HASH_PATTERN, '<hash>');
+}
+
+function patternNames(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case 'Identifier': return [pattern.name];
+    case 'ObjectPattern': return pattern.properties.flatMap(p => patternNames(p.type === 'RestElement' ? p.argument : p.value));
+    case 'ArrayPattern': return pattern.elements.flatMap(patternNames);
+    case 'RestElement': return patternNames(pattern.argument);
+    case 'AssignmentPattern': return patternNames(pattern.left);
+    default: return [];
+  }
+}
+
+function forEachChild(node, callback) {
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (child && typeof child.type === 'string') callback(child);
+      }
+    } else if (value && typeof value.type === 'string') {
+      callback(value);
+    }
+  }
+}
+
+function applyEdits(content, edits) {
+  edits.sort((a, b) => a.start - b.start);
+
+  const parts = [];
+  let position = 0;
+  for (const edit of edits) {
+    if (edit.start < position) continue; // Overlaps an earlier edit
+    parts.push(content.slice(position, edit.start), edit.text);
+    position = edit.end;
+  }
+  parts.push(content.slice(position));
+
+  return parts.join('');
+}
+
+function collapse(source) {
+  return source.replace(/\s+/g, ' ').replace(/ ?([{}()[\];,:=]) ?/g, '$1').trim();
+}
+
+export default Canonicalizer;
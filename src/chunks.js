@@ -0,0 +1,339 @@
+/**
+ * Chunk Enumerator - Rebuild lazy chunk URLs from bundler runtimes
+ * - webpack: evaluates the chunk filename function (__webpack_require__.u / jsonpScriptSrc)
+ *   for every chunk id in its hash maps and applies publicPath (__webpack_require__.p)
+ * - Vite/Rollup: collects __vite__mapDeps file lists and dynamic import() targets
+ */
+
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+
+// Thrown when a chunk filename expression uses something we cannot evaluate statically
+class UnsupportedExpression extends Error {}
+
+export class ChunkEnumerator {
+  constructor(options = {}) {
+    this.maxChunks = options.maxChunks || 500;
+  }
+
+  /**
+   * Find chunk URLs referenced by a set of scripts that were not loaded yet
+   * Returns a list of { url, chunkId, bundler, from }
+   */
+  enumerate(scripts) {
+    const known = new Set(scripts.map(s => s.url));
+    const chunks = new Map();
+
+    for (const script of scripts) {
+      for (const chunk of this.analyze(script)) {
+        if (known.has(chunk.url) || chunks.has(chunk.url)) continue;
+        chunks.set(chunk.url, chunk);
+        if (chunks.size >= this.maxChunks) return Array.from(chunks.values());
+      }
+    }
+
+    return Array.from(chunks.values());
+  }
+
+  /**
+   * Analyze a single script for chunk references
+   */
+  analyze(script) {
+    const ast = this.parse(script.content);
+    if (!ast) return [];
+
+    const chunks = [];
+    const webpack = this.findWebpackRuntime(ast);
+
+    for (const fn of webpack.filenameFunctions) {
+      for (const chunkId of this.collectChunkIds(fn)) {
+        let path;
+        try {
+          path = this.evaluate(fn.body, fn.param, chunkId);
+        } catch (e) {
+          if (e instanceof UnsupportedExpression) break;
+          throw e;
+        }
+
+        if (typeof path !== 'string' || path.includes('undefined') || !/\.m?js(\?|$)/.test(path)) continue;
+
+        chunks.push({
+          url: this.resolveWebpackUrl(path, webpack.publicPath, script.url),
+          chunkId,
+          bundler: 'webpack',
+          from: script.url
+        });
+      }
+    }
+
+    for (const file of this.findViteDependencies(ast)) {
+      chunks.push({
+        url: this.resolveViteUrl(file, script.url),
+        chunkId: null,
+        bundler: 'vite',
+        from: script.url
+      });
+    }
+
+    return chunks.filter(c => c.url);
+  }
+
+  parse(content) {
+    const options = {
+      ecmaVersion: 'latest',
+      allowHashBang: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowImportExportEverywhere: true
+    };
+
+    for (const sourceType of ['module', 'script']) {
+      try {
+        return acorn.parse(content, { ...options, sourceType });
+      } catch (e) {
+        // Try the next source type
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Locate chunk filename functions and the public path in a webpack runtime
+   */
+  findWebpackRuntime(ast) {
+    const filenameFunctions = [];
+    let publicPath = null;
+
+    walk.full(ast, (node) => {
+      if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+          !node.left.computed && node.left.property.type === 'Identifier') {
+        const property = node.left.property.name;
+
+        // __webpack_require__.p = "/static/"
+        if (property === 'p' && node.right.type === 'Literal' && typeof node.right.value === 'string') {
+          publicPath = node.right.value;
+        }
+
+        // __webpack_require__.u = (chunkId) => "static/js/" + chunkId + "." + {...}[chunkId] + ".js"
+        if (property === 'u') {
+          const fn = this.asFilenameFunction(node.right);
+          if (fn) filenameFunctions.push(fn);
+        }
+      }
+
+      // webpack 4: function jsonpScriptSrc(chunkId) { return __webpack_require__.p + ... + ".chunk.js" }
+      if (node.type === 'FunctionDeclaration') {
+        const fn = this.asFilenameFunction(node);
+        if (fn && (node.id?.name === 'jsonpScriptSrc' || fn.usesPublicPath)) {
+          filenameFunctions.push(fn);
+        }
+      }
+    });
+
+    return { filenameFunctions, publicPath };
+  }
+
+  /**
+   * Recognize a one-argument function returning a string concatenation indexed by its argument
+   */
+  asFilenameFunction(node) {
+    if (!['FunctionExpression', 'ArrowFunctionExpression', 'FunctionDeclaration'].includes(node.type)) return null;
+    if (node.params.length !== 1 || node.params[0].type !== 'Identifier') return null;
+
+    let body = node.body;
+    if (body.type === 'BlockStatement') {
+      const returns = body.body.filter(s => s.type === 'ReturnStatement');
+      if (body.body.length !== 1 || returns.length !== 1) return null;
+      body = returns[0].argument;
+    }
+    if (!body) return null;
+
+    const param = node.params[0].name;
+    let hasLookup = false;
+    let hasJsLiteral = false;
+    let usesPublicPath = false;
+
+    walk.full(body, (child) => {
+      if (child.type === 'MemberExpression' && child.computed && child.object.type === 'ObjectExpression' &&
+          child.property.type === 'Identifier' && child.property.name === param) {
+        hasLookup = true;
+      }
+      if (child.type === 'Literal' && typeof child.value === 'string' && /\.m?js$/.test(child.value)) {
+        hasJsLiteral = true;
+      }
+      if (child.type === 'MemberExpression' && !child.computed && child.property.name === 'p') {
+        usesPublicPath = true;
+      }
+    });
+
+    if (!hasLookup || !hasJsLiteral) return null;
+    return { param, body, usesPublicPath };
+  }
+
+  /**
+   * Chunk ids are the keys of the object maps looked up by the filename function
+   */
+  collectChunkIds(fn) {
+    const ids = new Set();
+
+    walk.full(fn.body, (node) => {
+      if (node.type === 'MemberExpression' && node.computed && node.object.type === 'ObjectExpression') {
+        for (const prop of node.object.properties) {
+          if (prop.type !== 'Property') continue;
+          const key = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+          if (key !== undefined) ids.add(String(key));
+        }
+      }
+
+      // 2272 === e ? "static/chunks/webpack.js" : ...
+      if (node.type === 'BinaryExpression' && ['===', '=='].includes(node.operator)) {
+        for (const side of [node.left, node.right]) {
+          if (side.type === 'Literal' && ['string', 'number'].includes(typeof side.value)) {
+            ids.add(String(side.value));
+          }
+        }
+      }
+    });
+
+    return Array.from(ids);
+  }
+
+  /**
+   * Statically evaluate a filename expression for one chunk id
+   * publicPath references (X.p) evaluate to "" and are applied separately
+   */
+  evaluate(node, param, chunkId) {
+    switch (node.type) {
+      case 'Literal':
+        return node.value;
+      case 'Identifier':
+        if (node.name === param) return chunkId;
+        if (node.name === 'undefined') return undefined;
+        throw new UnsupportedExpression(node.name);
+      case 'TemplateLiteral':
+        return node.quasis.map((q, i) =>
+          q.value.cooked + (i < node.expressions.length ? this.evaluate(node.expressions[i], param, chunkId) : '')
+        ).join('');
+      case 'ObjectExpression': {
+        const obj = {};
+        for (const prop of node.properties) {
+          if (prop.type !== 'Property') throw new UnsupportedExpression('spread');
+          const key = prop.key.type === 'Identifier' && !prop.computed ? prop.key.name : prop.key.value;
+          obj[key] = this.evaluate(prop.value, param, chunkId);
+        }
+        return obj;
+      }
+      case 'MemberExpression': {
+        if (!node.computed && node.property.name === 'p') return '';
+        const object = this.evaluate(node.object, param, chunkId);
+        const key = node.computed ? this.evaluate(node.property, param, chunkId) : node.property.name;
+        return object == null ? undefined : object[key];
+      }
+      case 'BinaryExpression': {
+        const left = this.evaluate(node.left, param, chunkId);
+        const right = this.evaluate(node.right, param, chunkId);
+        switch (node.operator) {
+          case '+': return left + right;
+          // Chunk ids are compared as numbers or strings depending on the build
+          case '===':
+          case '==': return String(left) === String(right);
+          case '!==':
+          case '!=': return String(left) !== String(right);
+          default: throw new UnsupportedExpression(node.operator);
+        }
+      }
+      case 'LogicalExpression': {
+        const left = this.evaluate(node.left, param, chunkId);
+        if (node.operator === '||') return left || this.evaluate(node.right, param, chunkId);
+        if (node.operator === '&&') return left && this.evaluate(node.right, param, chunkId);
+        return left ?? this.evaluate(node.right, param, chunkId);
+      }
+      case 'ConditionalExpression':
+        return this.evaluate(node.test, param, chunkId)
+          ? this.evaluate(node.consequent, param, chunkId)
+          : this.evaluate(node.alternate, param, chunkId);
+      case 'SequenceExpression':
+        return this.evaluate(node.expressions[node.expressions.length - 1], param, chunkId);
+      default:
+        throw new UnsupportedExpression(node.type);
+    }
+  }
+
+  /**
+   * Collect Vite/Rollup chunk files: __vite__mapDeps lists and import() targets
+   */
+  findViteDependencies(ast) {
+    const files = new Set();
+
+    walk.full(ast, (node) => {
+      // m.f || (m.f = ["assets/Admin-abc.js", "assets/Admin-def.css"])
+      if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+          !node.left.computed && node.left.property.name === 'f' && node.right.type === 'ArrayExpression') {
+        for (const element of node.right.elements) {
+          if (element?.type === 'Literal' && typeof element.value === 'string' && /\.m?js$/.test(element.value)) {
+            files.add(element.value);
+          }
+        }
+      }
+
+      // import("./Admin-abc.js")
+      if (node.type === 'ImportExpression' && node.source.type === 'Literal' &&
+          typeof node.source.value === 'string' && /\.m?js(\?|$)/.test(node.source.value)) {
+        files.add(node.source.value);
+      }
+    });
+
+    return Array.from(files);
+  }
+
+  /**
+   * Apply webpack publicPath; "auto" or a missing publicPath resolves against the runtime script's location
+   */
+  resolveWebpackUrl(path, publicPath, scriptUrl) {
+    try {
+      if (publicPath && publicPath !== 'auto') {
+        return new URL(publicPath + path, scriptUrl).href;
+      }
+
+      // Strip the overlap between the script's directory and the chunk path
+      // e.g. /static/js/main.js + static/js/12.chunk.js -> /static/js/12.chunk.js
+      const url = new URL(scriptUrl);
+      const dirSegments = url.pathname.split('/').slice(1, -1);
+      const pathSegments = path.split('/');
+
+      for (let overlap = Math.min(dirSegments.length, pathSegments.length - 1); overlap > 0; overlap--) {
+        const dirTail = dirSegments.slice(dirSegments.length - overlap).join('/');
+        if (dirTail === pathSegments.slice(0, overlap).join('/')) {
+          const base = `/${dirSegments.slice(0, dirSegments.length - overlap).join('/')}/`.replace(/\/+/g, '/');
+          return new URL(base + path, url.origin).href;
+        }
+      }
+
+      return new URL(path, scriptUrl).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Relative imports resolve against the importing chunk; mapDeps entries are relative to the Vite base
+   */
+  resolveViteUrl(file, scriptUrl) {
+    try {
+      if (file.startsWith('.') || file.startsWith('/') || /^https?:/.test(file)) {
+        return new URL(file, scriptUrl).href;
+      }
+
+      // "assets/Admin-abc.js": the base is everything before the first segment in the script path
+      const url = new URL(scriptUrl);
+      const firstSegment = file.split('/')[0];
+      const index = url.pathname.indexOf(`/${firstSegment}/`);
+      const base = index === -1 ? '/' : url.pathname.slice(0, index + 1);
+      return new URL(base + file, url.origin).href;
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+export default ChunkEnumerator;
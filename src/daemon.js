@@ -0,0 +1,289 @@
+/**
+ * Daemon - Runs the config-file monitor in the background
+ * Keeps a pidfile, a log file and a status file (per-target last/next run and last error) in the data dir
+ */
+
+import { spawn } from 'child_process';
+import {
+  existsSync, readFileSync, writeFileSync, renameSync, unlinkSync, openSync, closeSync,
+  statSync, readSync, mkdirSync
+} from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { Scheduler } from './scheduler.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const START_TIMEOUT = 5000;
+const POLL_INTERVAL = 200;
+
+export class Daemon {
+  constructor(dataDir = null) {
+    this.dataDir = dataDir || join(__dirname, '..', 'data');
+    if (!existsSync(this.dataDir)) {
+      mkdirSync(this.dataDir, { recursive: true });
+    }
+
+    this.pidFile = join(this.dataDir, 'daemon.pid');
+    this.logFile = join(this.dataDir, 'daemon.log');
+    this.statusFile = join(this.dataDir, 'daemon-status.json');
+  }
+
+  /**
+   * PID of the running daemon, or null; a stale pidfile is removed
+   */
+  getPid() {
+    if (!existsSync(this.pidFile)) return null;
+
+    const pid = parseInt(readFileSync(this.pidFile, 'utf-8'));
+    if (pid && isAlive(pid)) return pid;
+
+    removeFile(this.pidFile);
+    return null;
+  }
+
+  /**
+   * Spawn "daemon run" detached, with output appended to the log file; resolves with its pid
+   * options: { config, concurrency, notify, grace }
+   */
+  async start(options) {
+    const running = this.getPid();
+    if (running) {
+      throw new Error(`Daemon already running (pid ${running})`);
+    }
+
+    const args = [join(__dirname, 'cli.js'), 'daemon', 'run', '--config', resolve(options.config)];
+    if (options.concurrency) args.push('--concurrency', String(options.concurrency));
+    if (options.notify === false) args.push('--no-notify');
+    if (options.grace) args.push('--grace', String(options.grace / 1000));
+
+    const logStart = existsSync(this.logFile) ? statSync(this.logFile).size : 0;
+    const out = openSync(this.logFile, 'a');
+    const child = spawn(process.execPath, args, {
+      detached: true,
+      stdio: ['ignore', out, out]
+    });
+    closeSync(out);
+
+    let exitCode = null;
+    child.once('exit', code => { exitCode = code ?? 1; });
+    child.unref();
+
+    // Wait until the child has written its pidfile, or died (e.g. on a broken config)
+    const deadline = Date.now() + START_TIMEOUT;
+    while (Date.now() < deadline) {
+      if (exitCode !== null) {
+        const output = readFileSync(this.logFile).subarray(logStart).toString('utf-8').trim();
+        throw new Error(`Daemon exited during startup (code ${exitCode}):\n${output}`);
+      }
+      if (this.getPid() === child.pid) return child.pid;
+      await sleep(POLL_INTERVAL);
+    }
+
+    throw new Error(`Daemon did not start within ${START_TIMEOUT / 1000}s, see ${this.logFile}`);
+  }
+
+  /**
+   * Ask the daemon to stop and wait for it to exit
+   * The first SIGTERM lets running scans finish; abort sends a second one so they are dropped right away
+   */
+  async stop(options = {}) {
+    const pid = this.getPid();
+    if (!pid) return null;
+
+    const timeout = options.timeout ?? 90000;
+    process.kill(pid, 'SIGTERM');
+    if (options.abort) {
+      await sleep(POLL_INTERVAL);
+      if (isAlive(pid)) process.kill(pid, 'SIGTERM');
+    }
+
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (!isAlive(pid)) return { pid, stopped: true };
+      await sleep(POLL_INTERVAL);
+    }
+
+    return { pid, stopped: false };
+  }
+
+  /**
+   * Running state plus the last status written by the daemon
+   */
+  status() {
+    const pid = this.getPid();
+    let state = null;
+
+    if (pid && existsSync(this.statusFile)) {
+      try {
+        state = JSON.parse(readFileSync(this.statusFile, 'utf-8'));
+      } catch (e) {
+        // Being rewritten; report as running without details
+      }
+    }
+
+    return { running: Boolean(pid), pid, state };
+  }
+
+  /**
+   * Last lines of the log file
+   */
+  readLog(lines = 50) {
+    if (!existsSync(this.logFile)) return '';
+    const text = readFileSync(this.logFile, 'utf-8').replace(/\n$/, '');
+    return text.split('\n').slice(-lines).join('\n');
+  }
+
+  /**
+   * Call onData with everything appended to the log file from now on; returns a function that stops following
+   */
+  followLog(onData) {
+    let position = existsSync(this.logFile) ? statSync(this.logFile).size : 0;
+
+    const timer = setInterval(() => {
+      if (!existsSync(this.logFile)) return;
+      const size = statSync(this.logFile).size;
+      if (size < position) position = 0; // Truncated
+      if (size === position) return;
+
+      const buffer = Buffer.alloc(size - position);
+      const fd = openSync(this.logFile, 'r');
+      readSync(fd, buffer, 0, buffer.length, position);
+      closeSync(fd);
+      position = size;
+      onData(buffer.toString('utf-8'));
+    }, POLL_INTERVAL * 5);
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Run the scheduler in this process (the body of "daemon run")
+   * SIGTERM/SIGINT wait up to `grace` ms for running scans; a second signal, or the grace period
+   * running out, exits as soon as no scan is mid-write, so the store never holds half a scan
+   */
+  run(options) {
+    const running = this.getPid();
+    if (running && running !== process.pid) {
+      throw new Error(`Daemon already running (pid ${running})`);
+    }
+
+    const scheduler = new Scheduler(options.config, {
+      dbPath: this.dataDir,
+      concurrency: options.concurrency,
+      notify: options.notify
+    });
+    const grace = options.grace ?? 60000;
+    const startedAt = new Date().toISOString();
+    let state = 'running';
+
+    const log = (message) => console.log(`${new Date().toISOString()} ${message}`);
+
+    const writeStatus = () => {
+      const tmpFile = `${this.statusFile}.${process.pid}.tmp`;
+      writeFileSync(tmpFile, JSON.stringify({
+        pid: process.pid,
+        state,
+        startedAt,
+        updatedAt: new Date().toISOString(),
+        config: scheduler.configPath,
+        concurrency: scheduler.concurrency,
+        targets: scheduler.status()
+      }, null, 2));
+      renameSync(tmpFile, this.statusFile);
+    };
+
+    const cleanup = () => {
+      removeFile(this.statusFile);
+      if (this.getPid() === process.pid) removeFile(this.pidFile);
+    };
+
+    let config;
+    try {
+      config = scheduler.start();
+    } catch (error) {
+      scheduler.close();
+      throw error;
+    }
+
+    writeFileSync(this.pidFile, String(process.pid));
+    log(`Daemon started (pid ${process.pid}), ${config.targets.length} target(s) from ${scheduler.configPath}`);
+
+    scheduler.on('scan', ({ target, url }) => {
+      log(`[${target}] Scanning ${url}`);
+      writeStatus();
+    });
+    scheduler.on('result', ({ target, url, results }) => {
+      const added = results.scripts.filter(s => s.isNew).length;
+      const updated = results.scripts.filter(s => s.hasNewVersion && !s.isNew).length;
+      const cosmetic = results.scripts.filter(s => s.cosmetic).length;
+      log(`[${target}] ${url}: ${results.stats.totalScripts} scripts, ${added} new, ${updated} updated` +
+        `${cosmetic ? ` (${cosmetic} cosmetic)` : ''}, ${results.secrets.length} secret(s), scan ${results.scanId}`);
+    });
+    scheduler.on('failed', ({ target, url, error }) => log(`[${target}] Scan of ${url} failed: ${error.message}`));
+    scheduler.on('done', () => writeStatus());
+    scheduler.on('reload', ({ added, removed, changed }) => {
+      log(`Config reloaded: ${added.length} added, ${removed.length} removed, ${changed.length} changed`);
+      writeStatus();
+    });
+    scheduler.on('error', (error) => log(`Config not reloaded, keeping the previous one: ${error.message}`));
+
+    writeStatus();
+
+    let stopping = false;
+
+    const exit = async (code) => {
+      // Wait for any scan that is writing to the store, then exit before the next one starts
+      await scheduler.storage.exclusive(() => {
+        cleanup();
+        scheduler.close();
+        log('Daemon stopped');
+        process.exit(code);
+      });
+    };
+
+    const abort = () => {
+      log('Aborting running scans');
+      exit(0);
+    };
+
+    const shutdown = async (signal) => {
+      if (stopping) return abort();
+      stopping = true;
+      state = 'stopping';
+      writeStatus();
+      log(`${signal} received, waiting up to ${grace / 1000}s for running scans (signal again to abort)`);
+
+      const timer = setTimeout(abort, grace);
+      await scheduler.stop();
+      clearTimeout(timer);
+      exit(0);
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+  }
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function removeFile(path) {
+  try {
+    unlinkSync(path);
+  } catch (e) {
+    // Already gone
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default Daemon;
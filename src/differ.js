@@ -18,10 +18,12 @@ export class Differ {
     
     if (options.format !== false) {
       try {
-        formattedOld = await prettier.format(oldContent, { parser: 'babel', printWidth: 120 });
-        formattedNew = await prettier.format(newContent, { parser: 'babel', printWidth: 120 });
+        formattedOld = await this.prettify(oldContent);
+        formattedNew = await this.prettify(newContent);
       } catch (e) {
         // Use unformatted if prettier fails (minified code, etc.)
+        formattedOld = oldContent;
+        formattedNew = newContent;
       }
     }
 
@@ -41,6 +43,13 @@ export class Differ {
     };
   }
 
+  /**
+   * Format JavaScript with prettier (throws if the code cannot be parsed)
+   */
+  async prettify(content) {
+    return prettier.format(content, { parser: 'babel', printWidth: 120 });
+  }
+
   /**
    * Extract added and removed lines from diff
    */
@@ -128,6 +137,77 @@ export class Differ {
     
     return lines.join('\n');
   }
+
+  /**
+   * Build side-by-side rows from a diff
+   * Each row is { type, left, right } where left/right are { number, content } or null;
+   * unchanged runs longer than 2 * context lines are collapsed into a { type: 'skip', count } row
+   */
+  toSideBySide(diffResult, options = {}) {
+    const context = options.context ?? 3;
+    const rows = [];
+    let leftNumber = 1;
+    let rightNumber = 1;
+
+    const splitLines = (value) => {
+      const lines = value.split('\n');
+      if (lines[lines.length - 1] === '') lines.pop();
+      return lines;
+    };
+
+    const parts = diffResult.lineDiff;
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+
+      if (part.removed) {
+        const removed = splitLines(part.value);
+        // A removal directly followed by an addition is shown as a change on the same rows
+        const next = parts[i + 1];
+        const added = next && next.added ? splitLines(next.value) : [];
+        if (next && next.added) i++;
+
+        for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+          rows.push({
+            type: j < removed.length && j < added.length ? 'change' : (j < removed.length ? 'remove' : 'add'),
+            left: j < removed.length ? { number: leftNumber++, content: removed[j] } : null,
+            right: j < added.length ? { number: rightNumber++, content: added[j] } : null
+          });
+        }
+      } else if (part.added) {
+        for (const line of splitLines(part.value)) {
+          rows.push({ type: 'add', left: null, right: { number: rightNumber++, content: line } });
+        }
+      } else {
+        const lines = splitLines(part.value);
+        const isFirst = i === 0;
+        const isLast = i === parts.length - 1;
+        const keepStart = isFirst ? 0 : context;
+        const keepEnd = isLast ? 0 : context;
+
+        lines.forEach((line, j) => {
+          const hidden = j >= keepStart && j < lines.length - keepEnd;
+          if (hidden) {
+            const last = rows[rows.length - 1];
+            if (last && last.type === 'skip') {
+              last.count++;
+            } else {
+              rows.push({ type: 'skip', count: 1 });
+            }
+            leftNumber++;
+            rightNumber++;
+            return;
+          }
+          rows.push({
+            type: 'same',
+            left: { number: leftNumber++, content: line },
+            right: { number: rightNumber++, content: line }
+          });
+        });
+      }
+    }
+
+    return rows;
+  }
 }
 
 export default Differ;
@@ -0,0 +1,295 @@
+/**
+ * Endpoint Extractor - Discover API endpoints and routes in JavaScript
+ * Parses scripts into an AST and falls back to regex scanning when the
+ * code cannot be parsed (truncated bundles, non-standard syntax, etc.)
+ */
+
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+// Call-based detections are more specific than a bare string literal
+const TYPE_PRIORITY = { fetch: 5, axios: 5, xhr: 5, template: 2, path: 1 };
+
+export class EndpointExtractor {
+  constructor(options = {}) {
+    this.maxLength = options.maxLength || 300;
+
+    // Static assets are referenced as paths too, but are never interesting
+    this.assetPattern = /\.(png|jpe?g|gif|svg|ico|webp|avif|bmp|css|woff2?|ttf|otf|eot|map|mp4|webm|mp3|wav)(\?|#|$)/i;
+
+    // Relative paths that still look like API routes: api/users, v2/orders, graphql
+    this.apiPathPattern = /(^|\/)(api|graphql|gql|rest|rpc|v\d+)(\/|$)/i;
+  }
+
+  /**
+   * Extract endpoints from script content
+   * Returns a deduplicated list of { value, type, method }
+   */
+  extract(content) {
+    const found = new Map();
+    const ast = this.parse(content);
+
+    if (ast) {
+      this.extractFromAst(ast, found);
+    } else {
+      this.extractWithRegex(content, found);
+    }
+
+    return Array.from(found.values()).sort((a, b) => a.value.localeCompare(b.value));
+  }
+
+  /**
+   * Parse content as a module, then as a classic script
+   */
+  parse(content) {
+    const baseOptions = {
+      ecmaVersion: 'latest',
+      allowHashBang: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowImportExportEverywhere: true
+    };
+
+    for (const sourceType of ['module', 'script']) {
+      try {
+        return acorn.parse(content, { ...baseOptions, sourceType });
+      } catch (e) {
+        // Try the next source type
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Walk the AST looking for call targets, template literals and path strings
+   */
+  extractFromAst(ast, found) {
+    walk.full(ast, (node) => {
+      switch (node.type) {
+        case 'CallExpression':
+          this.extractFromCall(node, found);
+          break;
+        case 'TemplateLiteral':
+          this.add(found, this.renderUrl(node), 'template');
+          break;
+        case 'Literal':
+          if (typeof node.value === 'string') {
+            this.add(found, node.value, 'path');
+          }
+          break;
+      }
+    });
+  }
+
+  /**
+   * Recognize fetch(), axios and XMLHttpRequest.open() calls
+   */
+  extractFromCall(node, found) {
+    const callee = node.callee;
+    const args = node.arguments;
+    if (args.length === 0) return;
+
+    // fetch(url, { method })
+    if (this.isNamed(callee, 'fetch')) {
+      const method = this.getObjectProperty(args[1], 'method');
+      this.add(found, this.renderUrl(args[0]), 'fetch', method);
+      return;
+    }
+
+    if (callee.type !== 'MemberExpression') {
+      // axios({ url, method })
+      if (this.isNamed(callee, 'axios') && args[0].type === 'ObjectExpression') {
+        const url = this.getObjectPropertyNode(args[0], 'url');
+        this.add(found, url && this.renderUrl(url), 'axios', this.getObjectProperty(args[0], 'method'));
+      }
+      return;
+    }
+
+    const property = this.getPropertyName(callee);
+    if (!property) return;
+
+    // axios.get(url), axios.post(url), axios.request({ url, method })
+    if (this.isNamed(callee.object, 'axios')) {
+      if (HTTP_METHODS.includes(property.toLowerCase())) {
+        this.add(found, this.renderUrl(args[0]), 'axios', property);
+      } else if (property === 'request' && args[0].type === 'ObjectExpression') {
+        const url = this.getObjectPropertyNode(args[0], 'url');
+        this.add(found, url && this.renderUrl(url), 'axios', this.getObjectProperty(args[0], 'method'));
+      }
+      return;
+    }
+
+    // xhr.open('POST', url)
+    if (property === 'open' && args.length >= 2) {
+      const method = this.renderUrl(args[0]);
+      if (method && HTTP_METHODS.includes(method.toLowerCase())) {
+        this.add(found, this.renderUrl(args[1]), 'xhr', method);
+      }
+    }
+  }
+
+  /**
+   * Regex fallback for content that failed to parse
+   */
+  extractWithRegex(content, found) {
+    const callPatterns = [
+      { regex: /\bfetch\(\s*(["'`])([^"'`\n]+)\1/g, type: 'fetch' },
+      { regex: /\baxios\.(get|post|put|patch|delete|head|options)\(\s*(["'`])([^"'`\n]+)\2/gi, type: 'axios', hasMethod: true },
+      { regex: /\.open\(\s*["'](GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)["']\s*,\s*(["'`])([^"'`\n]+)\2/gi, type: 'xhr', hasMethod: true }
+    ];
+
+    for (const pattern of callPatterns) {
+      let match;
+      while ((match = pattern.regex.exec(content)) !== null) {
+        if (pattern.hasMethod) {
+          this.add(found, this.renderTemplateString(match[3]), pattern.type, match[1]);
+        } else {
+          this.add(found, this.renderTemplateString(match[2]), pattern.type);
+        }
+      }
+    }
+
+    const stringPattern = /(["'`])((?:https?:\/\/|\/)[^"'`\s]+)\1/g;
+    let match;
+    while ((match = stringPattern.exec(content)) !== null) {
+      const type = match[1] === '`' ? 'template' : 'path';
+      this.add(found, this.renderTemplateString(match[2]), type);
+    }
+  }
+
+  /**
+   * Record an endpoint, keeping the most specific detection type
+   */
+  add(found, value, type, method = null) {
+    if (!value || !this.isEndpointLike(value)) return;
+
+    const normalizedMethod = typeof method === 'string' ? method.toUpperCase() : null;
+    const existing = found.get(value);
+
+    if (!existing) {
+      found.set(value, { value, type, method: normalizedMethod });
+      return;
+    }
+
+    if (TYPE_PRIORITY[type] > TYPE_PRIORITY[existing.type]) {
+      existing.type = type;
+    }
+    if (normalizedMethod && !existing.method) {
+      existing.method = normalizedMethod;
+    }
+  }
+
+  /**
+   * Decide whether a string looks like a URL or route
+   */
+  isEndpointLike(value) {
+    if (value.length < 2 || value.length > this.maxLength) return false;
+    if (/[\s<>\\"'^|]/.test(value)) return false;
+    if (this.assetPattern.test(value)) return false;
+
+    // Strip a leading placeholder such as {baseUrl}/users
+    const path = value.replace(/^\{[^}]*\}/, '');
+
+    if (/^https?:\/\/[\w.-]+/i.test(path)) return true;
+    if (/^\/[\w{:.~-]/.test(path)) return !path.startsWith('//');
+    return this.apiPathPattern.test(path);
+  }
+
+  /**
+   * Render a URL-ish AST node to a string, replacing dynamic parts with {name}
+   */
+  renderUrl(node) {
+    if (!node) return null;
+
+    switch (node.type) {
+      case 'Literal':
+        return typeof node.value === 'string' ? node.value : null;
+      case 'TemplateLiteral': {
+        let result = '';
+        node.quasis.forEach((quasi, i) => {
+          result += quasi.value.cooked ?? quasi.value.raw;
+          if (i < node.expressions.length) {
+            result += `{${this.describeExpression(node.expressions[i])}}`;
+          }
+        });
+        return result;
+      }
+      case 'BinaryExpression': {
+        if (node.operator !== '+') return null;
+        const left = this.renderUrl(node.left) ?? `{${this.describeExpression(node.left)}}`;
+        const right = this.renderUrl(node.right) ?? `{${this.describeExpression(node.right)}}`;
+        // Two unknown operands are not a URL
+        if (left.startsWith('{') && right.startsWith('{') && !/[/?]/.test(left + right)) return null;
+        return left + right;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Render ${...} placeholders found by the regex fallback
+   */
+  renderTemplateString(value) {
+    return value.replace(/\$\{([^}]*)\}/g, (_, expr) => `{${expr.trim()}}`);
+  }
+
+  /**
+   * Short name for a dynamic URL segment
+   */
+  describeExpression(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression' && !node.computed) {
+      return this.getPropertyName(node);
+    }
+    return '';
+  }
+
+  isNamed(node, name) {
+    if (!node) return false;
+    if (node.type === 'Identifier') return node.name === name;
+    // window.fetch, self.fetch, globalThis.fetch
+    return node.type === 'MemberExpression' && this.getPropertyName(node) === name &&
+      node.object.type === 'Identifier' && ['window', 'self', 'globalThis'].includes(node.object.name);
+  }
+
+  getPropertyName(memberNode) {
+    const property = memberNode.property;
+    if (!memberNode.computed && property.type === 'Identifier') return property.name;
+    if (property.type === 'Literal' && typeof property.value === 'string') return property.value;
+    return null;
+  }
+
+  getObjectPropertyNode(node, key) {
+    if (!node || node.type !== 'ObjectExpression') return null;
+    for (const prop of node.properties) {
+      if (prop.type !== 'Property') continue;
+      const name = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+      if (name === key) return prop.value;
+    }
+    return null;
+  }
+
+  getObjectProperty(node, key) {
+    const value = this.getObjectPropertyNode(node, key);
+    return value && value.type === 'Literal' ? value.value : null;
+  }
+
+  /**
+   * Compare two endpoint lists
+   */
+  compare(previous, current) {
+    const previousValues = new Set(previous.map(e => e.value));
+    const currentValues = new Set(current.map(e => e.value));
+
+    return {
+      added: current.filter(e => !previousValues.has(e.value)),
+      removed: previous.filter(e => !currentValues.has(e.value))
+    };
+  }
+}
+
+export default EndpointExtractor;
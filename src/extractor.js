@@ -5,6 +5,18 @@
  */
 
 import puppeteer from 'puppeteer';
+import { SourceMapUnpacker } from './sourcemap.js';
+import { ChunkEnumerator } from './chunks.js';
+import { HttpClient } from './http.js';
+import { ProxyPool, browserProxy, describeProxy } from './proxy.js';
+
+const CRAWL_DEFAULTS = { depth: 2, maxPages: 20, sitemap: false };
+const MAX_SITEMAPS = 5;
+
+// Crawled links that lead to files rather than pages
+const NON_PAGE_EXTENSION = /\.(?:[cm]?js|css|json|xml|txt|csv|pdf|zip|gz|tar|png|jpe?g|gif|svg|webp|ico|woff2?|ttf|eot|mp[34]|webm|avi|mov)$/i;
+// Following these would end an authenticated session
+const LOGOUT_PATH = /log-?out|sign-?out|log-?off/i;
 
 export class JSExtractor {
   constructor(options = {}) {
@@ -12,24 +24,42 @@ export class JSExtractor {
     this.waitForNetwork = options.waitForNetwork || 5000;
     this.mode = options.mode || 'puppeteer'; // 'puppeteer' or 'fetch'
     this.chromePath = options.chromePath || null; // Custom Chrome/Chromium path
+    this.sourceMaps = options.sourceMaps !== false; // Fetch source maps by default
+    this.sourceMapUnpacker = new SourceMapUnpacker();
+    this.enumerateChunks = options.enumerateChunks || false; // Fetch lazy chunks from bundler runtimes
+    this.chunkEnumerator = new ChunkEnumerator({ maxChunks: options.maxChunks });
+    // Follow same-origin links from the target: { depth, maxPages, sitemap }, or null for the target page only
+    this.crawl = options.crawl ? { ...CRAWL_DEFAULTS, ...options.crawl } : null;
     this.userAgent = options.userAgent || 
       'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    // Requests made outside the browser: { concurrency, rateLimit, retries }
+    this.http = new HttpClient({ timeout: this.timeout, headers: { 'User-Agent': this.userAgent }, ...options.http });
+    // One proxy URL, a list, or a shared ProxyPool (so rotation carries across extractors); each scan takes the next one
+    this.proxies = options.proxy instanceof ProxyPool ? options.proxy : new ProxyPool(options.proxy);
   }
 
   /**
-   * Extract all JS files from a target URL
+   * Extract all JS files from a target URL, and from the pages it links to when crawling
+   * The session carries per-scan state such as auth (an AuthConfig)
+   * Each script lists the pages it was seen on (pages); inline scripts name their page
+   * Scripts that could not be fetched are listed in failures: [{ url, loadMethod, status, error }]
    */
-  async extract(targetUrl) {
-    if (this.mode === 'fetch') {
-      return this.extractWithFetch(targetUrl);
-    }
-    return this.extractWithPuppeteer(targetUrl);
+  async extract(targetUrl, session = {}) {
+    const scanSession = { ...session, failures: [], proxy: this.proxies.take() };
+    const extraction = this.mode === 'fetch'
+      ? await this.extractWithFetch(targetUrl, scanSession)
+      : await this.extractWithPuppeteer(targetUrl, scanSession);
+    return {
+      ...extraction,
+      failures: scanSession.failures,
+      proxy: scanSession.proxy ? describeProxy(scanSession.proxy) : null
+    };
   }
 
   /**
    * Puppeteer-based extraction (catches dynamic scripts)
    */
-  async extractWithPuppeteer(targetUrl) {
+  async extractWithPuppeteer(targetUrl, session = {}) {
     const launchOptions = {
       headless: 'new',
       args: [
@@ -78,6 +108,13 @@ export class JSExtractor {
       launchOptions.executablePath = this.chromePath;
     }
 
+    // Credentials cannot go in --proxy-server; HTTP proxies get them through page.authenticate()
+    const proxy = session.proxy ? browserProxy(session.proxy) : null;
+    if (proxy) {
+      // Chrome skips the proxy for localhost unless told otherwise
+      launchOptions.args.push(`--proxy-server=${proxy.server}`, '--proxy-bypass-list=<-loopback>');
+    }
+
     let browser;
     try {
       browser = await puppeteer.launch(launchOptions);
@@ -90,11 +127,15 @@ export class JSExtractor {
       console.error('\nOr use fetch mode: --mode fetch');
       
       // Fall back to fetch mode
-      return this.extractWithFetch(targetUrl);
+      return this.extractWithFetch(targetUrl, session);
     }
 
     const discoveredScripts = new Map();
     const inlineScripts = [];
+    const loginFlow = session.auth ? session.auth.getLoginFlow() : null;
+    let capturing = !loginFlow; // Scripts loaded by the login pages are not part of the target
+    let currentPage = targetUrl;
+    let loginError = null;
 
     try {
       const page = await browser.newPage();
@@ -102,6 +143,14 @@ export class JSExtractor {
       await page.setUserAgent(this.userAgent);
       await page.setViewport({ width: 1920, height: 1080 });
 
+      if (proxy && proxy.credentials) {
+        await page.authenticate(proxy.credentials);
+      }
+
+      if (session.auth) {
+        await this.applyBrowserAuth(page, session.auth);
+      }
+
       // Intercept all network requests to catch dynamically loaded JS
       await page.setRequestInterception(true);
       
@@ -110,93 +159,170 @@ export class JSExtractor {
         const resourceType = request.resourceType();
         if (['image', 'font', 'media'].includes(resourceType)) {
           request.abort();
+        } else if (session.auth) {
+          // Cookies are handled by the browser jar, only add scoped headers
+          const headers = session.auth.headersFor(request.url(), { includeCookies: false });
+          request.continue({ headers: { ...request.headers(), ...headers } });
         } else {
           request.continue();
         }
       });
 
       page.on('response', async (response) => {
+        if (!capturing) return;
         const url = response.url();
         const contentType = response.headers()['content-type'] || '';
+        const pageUrl = currentPage;
         
         if (this.isJavaScript(url, contentType)) {
           try {
             const content = await response.text();
+            const known = discoveredScripts.get(url);
             discoveredScripts.set(url, {
               url,
               content,
               size: content.length,
               contentType,
-              loadMethod: 'network'
+              headers: response.headers(),
+              loadMethod: 'network',
+              pages: known ? known.pages : []
             });
           } catch (e) {
             // Response body may not be available
           }
+          if (discoveredScripts.has(url)) this.seenOn(discoveredScripts.get(url), pageUrl);
         }
       });
 
-      // Navigate to page
-      await page.goto(targetUrl, {
-        waitUntil: 'networkidle2',
-        timeout: this.timeout
-      });
+      // Log in first so the authenticated surface is what gets captured
+      if (loginFlow) {
+        loginError = await this.runLoginFlow(page, loginFlow);
+        capturing = true;
+      }
 
-      // Wait for any lazy-loaded scripts
-      await this.delay(this.waitForNetwork);
+      const queue = new CrawlQueue(targetUrl, this.crawl);
+      let authenticated = false;
 
-      // Check for script tags in DOM
-      const domScripts = await page.evaluate(() => {
-        const scripts = Array.from(document.querySelectorAll('script'));
-        return scripts.map(script => ({
-          src: script.src || null,
-          inline: !script.src ? script.textContent : null,
-          type: script.type || 'text/javascript'
-        }));
-      });
+      // Sitemaps, chunks and source maps are fetched outside the browser, so carry over the login cookies
+      const withBrowserCookies = async () => loginFlow && authenticated
+        ? { ...session, auth: session.auth.withCookies(await page.cookies()) }
+        : session;
+
+      for (let next = queue.next(); next; next = queue.next()) {
+        const isTarget = next.depth === 0;
+        currentPage = next.url;
 
-      // Process inline scripts
-      for (const script of domScripts) {
-        if (script.inline && script.inline.trim()) {
-          inlineScripts.push({
-            content: script.inline,
-            type: script.type
+        // Navigate to page; only the target page has to load
+        try {
+          await page.goto(next.url, {
+            waitUntil: 'networkidle2',
+            timeout: this.timeout
           });
+        } catch (error) {
+          if (isTarget) throw error;
+          continue;
         }
-      }
 
-      // Fetch any script srcs missed by network interception
-      for (const script of domScripts) {
-        if (script.src && !discoveredScripts.has(script.src)) {
-          try {
-            const response = await page.evaluate(async (url) => {
-              const res = await fetch(url);
-              return await res.text();
-            }, script.src);
-            
-            discoveredScripts.set(script.src, {
-              url: script.src,
-              content: response,
-              size: response.length,
-              loadMethod: 'dom-fetch'
+        if (isTarget) {
+          // Redirected to the login page: the session expired, log in again and reload
+          if (loginFlow && !loginError && loginFlow.isLoginPage(page.url())) {
+            capturing = false;
+            discoveredScripts.clear();
+            loginError = await this.runLoginFlow(page, loginFlow);
+            capturing = true;
+
+            await page.goto(targetUrl, {
+              waitUntil: 'networkidle2',
+              timeout: this.timeout
             });
-          } catch (e) {
-            // Script might be cross-origin blocked
           }
+
+          authenticated = Boolean(session.auth) && !loginError &&
+            !(loginFlow && loginFlow.isLoginPage(page.url()));
+        } else if (!queue.sameOrigin(page.url()) || (loginFlow && loginFlow.isLoginPage(page.url()))) {
+          // Redirected off the site, or to the login page
+          continue;
         }
+
+        queue.visited(next.url);
+
+        // Wait for any lazy-loaded scripts
+        await this.delay(this.waitForNetwork);
+
+        // Check for script tags in DOM
+        const { domScripts, links } = await page.evaluate(() => ({
+          domScripts: Array.from(document.querySelectorAll('script')).map(script => ({
+            src: script.src || null,
+            inline: !script.src ? script.textContent : null,
+            id: script.id || null,
+            type: script.type || 'text/javascript'
+          })),
+          links: Array.from(document.querySelectorAll('a[href]')).map(a => a.href)
+        }));
+
+        // Process inline scripts
+        for (const script of domScripts) {
+          if (script.inline && script.inline.trim()) {
+            inlineScripts.push({
+              content: script.inline,
+              id: script.id,
+              type: script.type,
+              page: next.url
+            });
+          }
+        }
+
+        // Fetch any script srcs missed by network interception
+        for (const script of domScripts) {
+          if (script.src && !discoveredScripts.has(script.src)) {
+            try {
+              const response = await page.evaluate(async (url) => {
+                const res = await fetch(url, { credentials: 'include' });
+                return await res.text();
+              }, script.src);
+              
+              discoveredScripts.set(script.src, {
+                url: script.src,
+                content: response,
+                size: response.length,
+                loadMethod: 'dom-fetch',
+                pages: []
+              });
+            } catch (error) {
+              // Script might be cross-origin blocked
+              session.failures?.push({ url: script.src, loadMethod: 'dom-fetch', status: null, error: error.message });
+            }
+          }
+          // Cached scripts do not always produce a readable response
+          if (script.src && discoveredScripts.has(script.src)) this.seenOn(discoveredScripts.get(script.src), next.url);
+        }
+
+        if (this.crawl) {
+          queue.add(links, next.depth + 1);
+          if (isTarget && this.crawl.sitemap) {
+            queue.add(await this.fetchSitemapPages(targetUrl, await withBrowserCookies()), 1);
+          }
+        }
+      }
+
+      const fetchSession = await withBrowserCookies();
+
+      if (this.enumerateChunks) {
+        await this.fetchLazyChunks(discoveredScripts, fetchSession);
       }
 
+      await this.attachSourceMaps(discoveredScripts.values(), fetchSession);
+
       return {
         targetUrl,
         timestamp: new Date().toISOString(),
         scripts: Array.from(discoveredScripts.values()),
         inlineScripts,
+        pages: queue.pages,
         mode: 'puppeteer',
-        stats: {
-          totalScripts: discoveredScripts.size,
-          inlineCount: inlineScripts.length,
-          totalSize: Array.from(discoveredScripts.values())
-            .reduce((sum, s) => sum + s.size, 0)
-        }
+        authenticated,
+        loginError,
+        stats: scanStats(discoveredScripts, inlineScripts, queue.pages)
       };
 
     } finally {
@@ -208,123 +334,76 @@ export class JSExtractor {
    * Lightweight fetch-based extraction (no browser needed)
    * Extracts all JS URLs from HTML source
    */
-  async extractWithFetch(targetUrl) {
+  async extractWithFetch(targetUrl, session = {}) {
     const discoveredScripts = new Map();
     const inlineScripts = [];
+    const queue = new CrawlQueue(targetUrl, this.crawl);
+    let authenticated = false;
 
     try {
-      // Fetch the HTML page
-      const response = await fetch(targetUrl, {
-        headers: {
-          'User-Agent': this.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-        },
-        timeout: this.timeout
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      for (let next = queue.next(); next; next = queue.next()) {
+        const isTarget = next.depth === 0;
+        let response;
+        let html;
+
+        // Fetch the HTML page; only the target page has to load
+        try {
+          response = await this.http.get(next.url, {
+            proxy: session.proxy,
+            headers: {
+              'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+              ...this.authHeaders(next.url, session)
+            }
+          });
 
-      const html = await response.text();
-      const baseUrl = new URL(targetUrl);
-
-      // Extract all script src attributes (handles quoted and unquoted)
-      const scriptSrcPatterns = [
-        // Quoted: src="path" or src='path'
-        /<script[^>]+src=["']([^"']+)["']/gi,
-        // Unquoted: src=/path.js or src=path.js (ends at space or >)
-        /<script[^>]+src=([^\s>"']+)/gi,
-      ];
-
-      const foundSrcs = new Set();
-
-      for (const pattern of scriptSrcPatterns) {
-        let match;
-        while ((match = pattern.exec(html)) !== null) {
-          const src = match[1].trim();
-          if (src && !src.startsWith('data:')) {
-            foundSrcs.add(src);
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
           }
-        }
-      }
 
-      // Fetch each discovered script
-      for (const src of foundSrcs) {
-        const scriptUrl = this.resolveUrl(src, baseUrl);
-        if (!discoveredScripts.has(scriptUrl)) {
-          try {
-            const scriptResponse = await fetch(scriptUrl, {
-              headers: { 'User-Agent': this.userAgent }
-            });
-            
-            if (scriptResponse.ok) {
-              const content = await scriptResponse.text();
-              discoveredScripts.set(scriptUrl, {
-                url: scriptUrl,
-                content,
-                size: content.length,
-                loadMethod: 'fetch'
-              });
-            }
-          } catch (e) {
-            // Failed to fetch script
-          }
+          html = response.body;
+        } catch (error) {
+          if (isTarget) throw error;
+          continue;
         }
-      }
 
-      // Extract inline scripts
-      const inlineRegex = /<script(?![^>]*\ssrc)[^>]*>([\s\S]*?)<\/script>/gi;
-      let inlineMatch;
-      while ((inlineMatch = inlineRegex.exec(html)) !== null) {
-        const content = inlineMatch[1].trim();
-        if (content) {
-          inlineScripts.push({
-            content,
-            type: 'text/javascript'
-          });
+        // Login recipes need a browser, but a redirect to the login page still means we are logged out
+        const loginFlow = session.auth ? session.auth.getLoginFlow() : null;
+        const loggedOut = Boolean(loginFlow && loginFlow.isLoginPage(response.url));
+
+        if (isTarget) {
+          authenticated = Boolean(session.auth && session.auth.hasCredentials()) && !loggedOut;
+        } else if (loggedOut || !queue.sameOrigin(response.url) ||
+            !(response.headers.get('content-type') || 'text/html').includes('html')) {
+          // Redirected off the site or to the login page, or not a page at all
+          continue;
         }
-      }
 
-      // Also look for .js URLs anywhere in the HTML (catches dynamic loading patterns)
-      const jsUrlPattern = /["']((?:https?:\/\/[^"']+|\/[^"']+)\.js(?:\?[^"']*)?)['"]/gi;
-      let urlMatch;
-      while ((urlMatch = jsUrlPattern.exec(html)) !== null) {
-        const src = urlMatch[1];
-        const scriptUrl = this.resolveUrl(src, baseUrl);
-        if (!discoveredScripts.has(scriptUrl)) {
-          try {
-            const scriptResponse = await fetch(scriptUrl, {
-              headers: { 'User-Agent': this.userAgent }
-            });
-            
-            if (scriptResponse.ok) {
-              const content = await scriptResponse.text();
-              discoveredScripts.set(scriptUrl, {
-                url: scriptUrl,
-                content,
-                size: content.length,
-                loadMethod: 'fetch-pattern'
-              });
-            }
-          } catch (e) {
-            // Failed to fetch
+        queue.visited(next.url);
+        await this.extractFromHtml(html, next.url, discoveredScripts, inlineScripts, session);
+
+        if (this.crawl) {
+          queue.add(this.findLinks(html, next.url), next.depth + 1);
+          if (isTarget && this.crawl.sitemap) {
+            queue.add(await this.fetchSitemapPages(targetUrl, session), 1);
           }
         }
       }
 
+      if (this.enumerateChunks) {
+        await this.fetchLazyChunks(discoveredScripts, session);
+      }
+
+      await this.attachSourceMaps(discoveredScripts.values(), session);
+
       return {
         targetUrl,
         timestamp: new Date().toISOString(),
         scripts: Array.from(discoveredScripts.values()),
         inlineScripts,
+        pages: queue.pages,
         mode: 'fetch',
-        stats: {
-          totalScripts: discoveredScripts.size,
-          inlineCount: inlineScripts.length,
-          totalSize: Array.from(discoveredScripts.values())
-            .reduce((sum, s) => sum + s.size, 0)
-        }
+        authenticated,
+        stats: scanStats(discoveredScripts, inlineScripts, queue.pages)
       };
 
     } catch (error) {
@@ -332,6 +411,266 @@ export class JSExtractor {
     }
   }
 
+  /**
+   * Fetch the scripts an HTML page references and collect its inline scripts
+   * Scripts are fetched once per scan, in parallel, then only marked as seen on further pages
+   */
+  async extractFromHtml(html, pageUrl, discoveredScripts, inlineScripts, session = {}) {
+    const baseUrl = new URL(pageUrl);
+    const referenced = new Map(); // script URL -> load method
+
+    // Extract all script src attributes (handles quoted and unquoted)
+    const scriptSrcPatterns = [
+      // Quoted: src="path" or src='path'
+      /<script[^>]+src=["']([^"']+)["']/gi,
+      // Unquoted: src=/path.js or src=path.js (ends at space or >)
+      /<script[^>]+src=([^\s>"']+)/gi,
+    ];
+
+    for (const pattern of scriptSrcPatterns) {
+      let match;
+      while ((match = pattern.exec(html)) !== null) {
+        const src = match[1].trim();
+        if (src && !src.startsWith('data:')) {
+          const scriptUrl = this.resolveUrl(src, baseUrl);
+          if (!referenced.has(scriptUrl)) referenced.set(scriptUrl, 'fetch');
+        }
+      }
+    }
+
+    // Extract inline scripts
+    const inlineRegex = /<script(?![^>]*\ssrc)([^>]*)>([\s\S]*?)<\/script>/gi;
+    let inlineMatch;
+    while ((inlineMatch = inlineRegex.exec(html)) !== null) {
+      const content = inlineMatch[2].trim();
+      if (content) {
+        inlineScripts.push({
+          content,
+          id: this.tagAttribute(inlineMatch[1], 'id'),
+          type: this.tagAttribute(inlineMatch[1], 'type') || 'text/javascript',
+          page: pageUrl
+        });
+      }
+    }
+
+    // Also look for .js URLs anywhere in the HTML (catches dynamic loading patterns)
+    const jsUrlPattern = /["']((?:https?:\/\/[^"']+|\/[^"']+)\.js(?:\?[^"']*)?)['"]/gi;
+    let urlMatch;
+    while ((urlMatch = jsUrlPattern.exec(html)) !== null) {
+      const scriptUrl = this.resolveUrl(urlMatch[1], baseUrl);
+      if (!referenced.has(scriptUrl)) referenced.set(scriptUrl, 'fetch-pattern');
+    }
+
+    // Fetch each discovered script, skipping ones that already failed on an earlier page
+    const failed = new Set(session.failures?.map(f => f.url));
+    const missing = Array.from(referenced).filter(([url]) => !discoveredScripts.has(url) && !failed.has(url));
+    const fetched = await Promise.all(missing.map(([url, loadMethod]) => this.fetchScript(url, loadMethod, session)));
+
+    fetched.forEach((script, i) => {
+      if (script) discoveredScripts.set(missing[i][0], { ...script, pages: [] });
+    });
+
+    for (const scriptUrl of referenced.keys()) {
+      if (discoveredScripts.has(scriptUrl)) this.seenOn(discoveredScripts.get(scriptUrl), pageUrl);
+    }
+  }
+
+  /**
+   * Absolute URLs of the <a href> links in an HTML page
+   */
+  findLinks(html, pageUrl) {
+    const links = [];
+    const anchorRegex = /<a\s([^>]*)>/gi;
+    let match;
+    while ((match = anchorRegex.exec(html)) !== null) {
+      const href = this.tagAttribute(match[1], 'href');
+      if (!href) continue;
+      try {
+        links.push(new URL(href.replace(/&amp;/g, '&'), pageUrl).href);
+      } catch (e) {
+        // Not a URL
+      }
+    }
+    return links;
+  }
+
+  /**
+   * Page URLs listed in the site's /sitemap.xml, following sitemap indexes on the same origin
+   */
+  async fetchSitemapPages(targetUrl, session = {}) {
+    const origin = new URL(targetUrl).origin;
+    const sitemaps = [`${origin}/sitemap.xml`];
+    const pages = [];
+
+    for (let i = 0; i < sitemaps.length && i < MAX_SITEMAPS; i++) {
+      let xml;
+      try {
+        const response = await this.http.get(sitemaps[i], { headers: this.authHeaders(sitemaps[i], session), proxy: session.proxy });
+        if (!response.ok) continue;
+        xml = response.body;
+      } catch (e) {
+        // No sitemap
+        continue;
+      }
+
+      const locations = Array.from(xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi), m => m[1].replace(/&amp;/g, '&'));
+      if (/<sitemapindex/i.test(xml)) {
+        sitemaps.push(...locations.filter(loc => loc.startsWith(`${origin}/`) && !sitemaps.includes(loc)));
+      } else {
+        pages.push(...locations);
+      }
+    }
+
+    return pages;
+  }
+
+  /**
+   * Record that a script was seen on a page
+   */
+  seenOn(script, pageUrl) {
+    if (!script.pages) script.pages = [];
+    if (!script.pages.includes(pageUrl)) script.pages.push(pageUrl);
+  }
+
+  /**
+   * Fetch a single script over HTTP
+   * Returns null if the script could not be fetched, and adds it to the scan's failures
+   */
+  async fetchScript(scriptUrl, loadMethod, session = {}) {
+    let response;
+    try {
+      response = await this.http.get(scriptUrl, { headers: this.authHeaders(scriptUrl, session), proxy: session.proxy });
+    } catch (error) {
+      session.failures?.push({ url: scriptUrl, loadMethod, status: null, error: error.message });
+      return null;
+    }
+
+    if (!response.ok) {
+      session.failures?.push({
+        url: scriptUrl,
+        loadMethod,
+        status: response.status,
+        error: `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`
+      });
+      return null;
+    }
+
+    return {
+      url: scriptUrl,
+      content: response.body,
+      size: response.body.length,
+      contentType: response.headers.get('content-type') || '',
+      headers: Object.fromEntries(response.headers),
+      loadMethod
+    };
+  }
+
+  /**
+   * Rebuild lazy chunk URLs from webpack/Vite runtimes and fetch the ones not loaded yet
+   * Repeats until no new chunks are found, since chunks can reference further chunks
+   */
+  async fetchLazyChunks(discoveredScripts, session = {}) {
+    const attempted = new Set();
+    let pending = Array.from(discoveredScripts.values());
+
+    while (pending.length > 0 && attempted.size < this.chunkEnumerator.maxChunks) {
+      // Only newly fetched scripts need analyzing in later rounds
+      const chunks = this.chunkEnumerator
+        .enumerate(pending)
+        .filter(chunk => !attempted.has(chunk.url) && !discoveredScripts.has(chunk.url));
+
+      const batch = [...new Set(chunks.map(chunk => chunk.url))].slice(0, this.chunkEnumerator.maxChunks - attempted.size);
+      batch.forEach(url => attempted.add(url));
+
+      const fetched = await Promise.all(batch.map(url => this.fetchScript(url, 'chunk-enumeration', session)));
+      pending = fetched.filter(Boolean);
+      pending.forEach(script => discoveredScripts.set(script.url, script));
+    }
+  }
+
+  /**
+   * Fetch source maps referenced by scripts (sourceMappingURL comment or SourceMap header)
+   * Sets sourceMapUrl and the raw sourceMap text on each script that has one
+   */
+  async attachSourceMaps(scripts, session = {}) {
+    if (!this.sourceMaps) return;
+
+    await Promise.all(Array.from(scripts, async (script) => {
+      const mapUrl = this.sourceMapUnpacker.findSourceMapUrl(script);
+      if (!mapUrl) return;
+
+      if (mapUrl.startsWith('data:')) {
+        script.sourceMapUrl = 'inline';
+        try {
+          script.sourceMap = this.sourceMapUnpacker.decodeDataUrl(mapUrl);
+        } catch (e) {
+          // Malformed percent-encoding in the data: URL
+        }
+        return;
+      }
+
+      script.sourceMapUrl = mapUrl;
+
+      try {
+        const response = await this.http.get(mapUrl, { headers: this.authHeaders(mapUrl, session), proxy: session.proxy });
+        if (response.ok) {
+          script.sourceMap = response.body;
+        }
+      } catch (e) {
+        // Map is referenced but not publicly available
+      }
+    }));
+  }
+
+  /**
+   * Auth headers (including cookies) for a request in fetch mode
+   */
+  authHeaders(url, session = {}) {
+    return session.auth ? session.auth.headersFor(url) : {};
+  }
+
+  /**
+   * Run a login recipe, returning the error message if it failed
+   * A failed login does not abort the scan; it continues unauthenticated
+   */
+  async runLoginFlow(page, loginFlow) {
+    try {
+      await loginFlow.run(page, { timeout: this.timeout });
+      return null;
+    } catch (error) {
+      console.error(`Login flow failed: ${error.message}`);
+      return error.message;
+    }
+  }
+
+  /**
+   * Load cookies and localStorage into the browser before navigation
+   */
+  async applyBrowserAuth(page, auth) {
+    const cookies = auth.puppeteerCookies();
+    if (cookies.length > 0) {
+      await page.setCookie(...cookies);
+    }
+
+    if (auth.localStorage.length > 0) {
+      await page.evaluateOnNewDocument((origins) => {
+        const entry = origins.find(o => o.origin === window.location.origin);
+        if (!entry) return;
+        for (const item of entry.items) {
+          window.localStorage.setItem(item.name, item.value);
+        }
+      }, auth.localStorage);
+    }
+  }
+
+  /**
+   * Value of an attribute in the attribute text of an HTML tag, or null
+   */
+  tagAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? (match[1] ?? match[2] ?? match[3]) : null;
+  }
+
   /**
    * Resolve a URL relative to a base URL
    */
@@ -379,4 +718,75 @@ export class JSExtractor {
   }
 }
 
+/**
+ * Pages left to visit, breadth first from the target page
+ * Links are queued once each (without their fragment) if they are same-origin pages within the crawl depth;
+ * the crawl ends after maxPages pages loaded. Without a crawl only the target page is visited
+ */
+class CrawlQueue {
+  constructor(targetUrl, crawl) {
+    const start = new URL(targetUrl);
+    start.hash = '';
+
+    this.origin = start.origin;
+    this.depth = crawl ? crawl.depth : 0;
+    this.maxPages = crawl ? crawl.maxPages : 1;
+    this.pending = [{ url: targetUrl, depth: 0 }];
+    this.queued = new Set([start.href]);
+    this.pages = []; // Pages that loaded
+  }
+
+  add(urls, depth) {
+    if (depth > this.depth) return;
+
+    for (const url of urls) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (e) {
+        continue;
+      }
+      if (parsed.origin !== this.origin || NON_PAGE_EXTENSION.test(parsed.pathname) || LOGOUT_PATH.test(parsed.pathname)) {
+        continue;
+      }
+
+      parsed.hash = '';
+      if (this.queued.has(parsed.href)) continue;
+      this.queued.add(parsed.href);
+      this.pending.push({ url: parsed.href, depth });
+    }
+  }
+
+  next() {
+    if (this.pages.length >= this.maxPages) return null;
+    return this.pending.shift() || null;
+  }
+
+  visited(url) {
+    this.pages.push(url);
+  }
+
+  sameOrigin(url) {
+    try {
+      return new URL(url).origin === this.origin;
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Extraction stats; totalScripts and totalSize count inline scripts too, inlineCount says how many were inline
+ */
+function scanStats(discoveredScripts, inlineScripts, pages) {
+  const scripts = Array.from(discoveredScripts.values());
+  return {
+    totalScripts: scripts.length + inlineScripts.length,
+    inlineCount: inlineScripts.length,
+    pages: pages.length,
+    totalSize: scripts.reduce((sum, s) => sum + s.size, 0) +
+      inlineScripts.reduce((sum, s) => sum + s.content.length, 0)
+  };
+}
+
 export default JSExtractor;
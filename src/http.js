@@ -0,0 +1,243 @@
+/**
+ * HTTP Client - GET requests for fetch-mode extraction
+ * Every request has a timeout that covers reading the body, waits for a slot under a global concurrency limit
+ * and a per-host rate limit, and is retried with exponential backoff on 429/5xx and network errors
+ * (honoring Retry-After). Timeouts are not retried, so a hung host costs one timeout per URL.
+ * Requests can go through an HTTP(S) or SOCKS proxy (options.proxy on get()).
+ */
+
+import http from 'http';
+import https from 'https';
+import zlib from 'zlib';
+import { ProxyAgent } from 'proxy-agent';
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_CONCURRENCY = 6;
+const DEFAULT_RATE_LIMIT = 5; // Requests per second per host
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 30000;
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 10;
+
+export class HttpRequestError extends Error {
+  constructor(message, url, attempts) {
+    super(message);
+    this.url = url;
+    this.attempts = attempts;
+  }
+}
+
+export class HttpClient {
+  constructor(options = {}) {
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.rateLimit = options.rateLimit ?? DEFAULT_RATE_LIMIT; // 0 disables rate limiting
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.retryDelay = options.retryDelay ?? RETRY_DELAY;
+    this.headers = options.headers || {}; // Sent with every request, e.g. User-Agent
+
+    this.active = 0;
+    this.waiting = [];
+    this.nextSlot = new Map(); // host -> earliest time the next request may start
+    this.proxyAgents = new Map(); // proxy URL -> agent
+  }
+
+  /**
+   * GET a URL and read the body as text, through options.proxy if set
+   * Resolves { url (after redirects), status, statusText, ok, headers, body } for any HTTP status, once retries
+   * are used up; rejects with an HttpRequestError on timeouts and network errors
+   */
+  async get(url, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      let response = null;
+      let error = null;
+
+      try {
+        response = await this.schedule(url, () => this.attempt(url, options));
+      } catch (e) {
+        error = e;
+      }
+
+      const retryable = error ? !error.timedOut : RETRY_STATUSES.includes(response.status);
+      if (!retryable || attempt > this.retries) {
+        if (error) throw new HttpRequestError(error.message, url, attempt);
+        return response;
+      }
+
+      await sleep(this.retryDelayFor(url, attempt, response));
+    }
+  }
+
+  /**
+   * One request, aborted if headers and body take longer than the timeout
+   */
+  async attempt(url, options) {
+    const timeout = options.timeout || this.timeout;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const headers = { ...this.headers, ...options.headers };
+
+    try {
+      if (options.proxy) {
+        return await this.proxyRequest(url, headers, options.proxy, controller.signal);
+      }
+
+      const response = await fetch(url, { headers, signal: controller.signal });
+      const body = await response.text();
+
+      return {
+        url: response.url || url,
+        status: response.status,
+        statusText: response.statusText,
+        ok: response.ok,
+        headers: response.headers,
+        body
+      };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw Object.assign(new Error(`Timed out after ${timeout} ms`), { timedOut: true });
+      }
+      // fetch() only says "fetch failed"; the cause has e.g. "connect ECONNREFUSED 10.0.0.1:443"
+      throw new Error(error.cause?.message || error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * GET through a proxy with http/https and a proxy agent, since fetch() cannot use one on its own
+   * Follows redirects and decodes compressed bodies like fetch() does. Certificate errors are ignored, as in
+   * the browser, so an intercepting proxy such as Burp works without installing its CA
+   */
+  proxyRequest(url, headers, proxy, signal, redirects = 0) {
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('Aborted')), { once: true });
+
+      const target = new URL(url);
+      const request = (target.protocol === 'https:' ? https : http).get(target, {
+        headers: { 'Accept-Encoding': 'gzip, deflate, br', ...headers },
+        agent: this.proxyAgent(proxy),
+        rejectUnauthorized: false,
+        signal
+      }, (response) => {
+        const location = response.headers.location;
+        if (REDIRECT_STATUSES.includes(response.statusCode) && location && redirects < MAX_REDIRECTS) {
+          response.resume();
+          resolve(this.proxyRequest(new URL(location, url).href, headers, proxy, signal, redirects + 1));
+          return;
+        }
+
+        const chunks = [];
+        decode(response)
+          .on('data', chunk => chunks.push(chunk))
+          .on('error', reject)
+          .on('end', () => resolve({
+            url,
+            status: response.statusCode,
+            statusText: response.statusMessage || '',
+            ok: response.statusCode >= 200 && response.statusCode < 300,
+            headers: new Headers(Object.entries(response.headers)
+              .flatMap(([name, value]) => [].concat(value).map(v => [name, v]))),
+            body: Buffer.concat(chunks).toString('utf-8')
+          }));
+      });
+
+      request.on('error', reject);
+    });
+  }
+
+  proxyAgent(proxy) {
+    if (!this.proxyAgents.has(proxy)) {
+      this.proxyAgents.set(proxy, new ProxyAgent({ getProxyForUrl: () => proxy }));
+    }
+    return this.proxyAgents.get(proxy);
+  }
+
+  /**
+   * Run a request once the host's rate limit allows it and a concurrency slot is free
+   * Waiting out a host's rate limit (or Retry-After) does not hold a slot, so other hosts keep going
+   */
+  async schedule(url, request) {
+    await this.throttle(new URL(url).host);
+    await this.acquire();
+    try {
+      return await request();
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next(); // The slot passes straight to the next request
+    } else {
+      this.active--;
+    }
+  }
+
+  async throttle(host) {
+    const now = Date.now();
+    // With rate limiting off, only a Retry-After sets the host's next slot
+    const start = Math.max(now, this.nextSlot.get(host) || 0);
+    if (this.rateLimit) this.nextSlot.set(host, start + 1000 / this.rateLimit);
+    if (start > now) await sleep(start - now);
+  }
+
+  /**
+   * Backoff before the next attempt: Retry-After when the server sent one, otherwise doubling from retryDelay
+   * A Retry-After also holds back every other request to the host
+   */
+  retryDelayFor(url, attempt, response) {
+    const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+    const delay = Math.min(retryAfter ?? this.retryDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+
+    if (retryAfter !== null) {
+      const host = new URL(url).host;
+      this.nextSlot.set(host, Math.max(this.nextSlot.get(host) || 0, Date.now() + delay));
+    }
+    return delay;
+  }
+}
+
+/**
+ * Retry-After in ms: delay-seconds or an HTTP date; null when missing or unreadable
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value) * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Response body stream, decompressed per Content-Encoding
+ */
+function decode(response) {
+  const encoding = (response.headers['content-encoding'] || '').trim().toLowerCase();
+  const decoder = encoding === 'gzip' || encoding === 'x-gzip' ? zlib.createGunzip()
+    : encoding === 'deflate' ? zlib.createInflate()
+      : encoding === 'br' ? zlib.createBrotliDecompress()
+        : null;
+
+  if (!decoder) return response;
+  response.on('error', error => decoder.destroy(error));
+  return response.pipe(decoder);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default HttpClient;
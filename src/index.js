@@ -3,183 +3,790 @@
  * Main orchestration module
  */
 
+import { join } from 'path';
 import { JSExtractor } from './extractor.js';
 import { FilenameNormalizer } from './normalizer.js';
 import { Storage } from './storage.js';
 import { Differ } from './differ.js';
+import { SemanticDiffer } from './semantic.js';
+import { Canonicalizer } from './canonicalizer.js';
+import { ModuleSplitter } from './modules.js';
+import { SimilarityMatcher } from './similarity.js';
+import { EndpointExtractor } from './endpoints.js';
+import { SecretScanner } from './secrets.js';
+import { SourceMapUnpacker } from './sourcemap.js';
+import { AuthConfig } from './auth.js';
+import { Notifications } from './notifiers.js';
+import { NotificationRules } from './rules.js';
 
-const DISCORD_WEBHOOK = 'https://discord.com/api/webhooks/1458939202812252429/1B7UYUF4wc5Hdo7dGskBxiCLzoPZHFZIalruRcHXNSLvbgHoK1mB6wYaRYaoWmSr991e';
+const DEFAULT_RENAME_THRESHOLD = 0.8;
+const RENAME_WINDOW_DAYS = 30; // Only scripts seen this recently can be the old name of a renamed script
+const DEFAULT_BULK_CONCURRENCY = 3; // Each scan may run its own browser
+
+// window.__APOLLO_STATE__ = ..., self.__CFG__ = ..., var __INITIAL_STATE__ = ...
+const GLOBAL_ASSIGNMENT = /^\s*(?:(?:window|self|globalThis)\s*\.\s*([\w$]+)|(?:var|let|const)\s+([\w$]+))\s*=/;
 
 export class UCMon {
   constructor(options = {}) {
     this.extractor = new JSExtractor(options.extractor);
-    this.normalizer = new FilenameNormalizer();
-    this.storage = new Storage(options.dbPath);
+    this.normalizer = new FilenameNormalizer(options.normalizer); // Overrides the target's saved rules when given
+    this.storage = options.storage || new Storage(options.dbPath); // Monitors can share one Storage
     this.differ = new Differ();
+    this.semanticDiffer = new SemanticDiffer();
+    this.canonicalizer = new Canonicalizer();
+    this.endpointExtractor = new EndpointExtractor();
+    this.sourceMapUnpacker = new SourceMapUnpacker();
+    this.moduleSplitter = new ModuleSplitter();
+    // Links a script under an unrecognized new name to the known script it replaces; false disables
+    this.renameThreshold = options.renameThreshold === undefined ? DEFAULT_RENAME_THRESHOLD : options.renameThreshold;
+    this.similarity = new SimilarityMatcher({ threshold: this.renameThreshold || undefined });
+    this.secretScanner = new SecretScanner({
+      rulesFile: options.secretRules || join(this.storage.dataDir, 'secret-rules.json'),
+      requireRulesFile: Boolean(options.secretRules)
+    });
+    this.notifications = new Notifications({ logFile: join(this.storage.dataDir, 'notifications.log') });
     this.options = options;
-    this.webhookUrl = options.webhookUrl || DISCORD_WEBHOOK;
-    this.notifyDiscord = options.notify !== false; // Enable by default
+    this.notify = options.notify !== false; // Only sends to channels saved on the target (or passed in)
+    this.channels = options.notifications || null; // Overrides the target's saved channels
+    this.includeCosmetic = options.includeCosmetic === true; // Notify updates that are only build noise
   }
 
   /**
    * Scan a target URL - extract, store, and diff JS files
+   * options.auth: { cookies, headers, storageState, login, scope } - saved on the target for later scans
+   * options.program: program name to group the target under
    */
-  async scan(targetUrl) {
+  async scan(targetUrl, options = {}) {
     const url = this.normalizeUrl(targetUrl);
     const domain = new URL(url).hostname;
 
     // Get or create target
-    const target = this.storage.getOrCreateTarget(domain);
+    const { target, auth } = await this.storage.exclusive(() => {
+      this.storage.refresh();
+      let target = this.storage.getOrCreateTarget(domain);
+      if (options.program && target.program !== options.program) {
+        target = this.storage.setTargetProgram(domain, options.program);
+      }
+      return { target, auth: this.resolveAuth(target, options.auth) };
+    });
 
     // Extract all JS files
-    const extraction = await this.extractor.extract(url);
+    const extraction = await this.extractor.extract(url, { auth });
+
+    // Everything a scan stores is written in one synchronous transaction; versions are diffed once it has
+    // committed, so the database is not locked while prettier formats them
+    const { results, pending } = await this.storage.exclusive(() =>
+      this.storage.transaction(() => this.storeScan(target, url, extraction))
+    );
+    await this.compareVersions(results, pending);
+
+    if (this.notify) {
+      await this.sendNotifications(results);
+    }
+
+    return results;
+  }
+
+  /**
+   * Scan many URLs, each as its own target, with at most options.concurrency scans running at once
+   * A failing URL does not stop the others. Returns [{ url, results } or { url, error }] in input order;
+   * options.onResult(outcome) is called as each one finishes. Other options are passed to scan()
+   */
+  async scanMany(urls, options = {}) {
+    const { concurrency = DEFAULT_BULK_CONCURRENCY, onResult, ...scanOptions } = options;
+    const outcomes = new Array(urls.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < urls.length) {
+        const index = next++;
+        try {
+          outcomes[index] = { url: urls[index], results: await this.scan(urls[index], scanOptions) };
+        } catch (error) {
+          outcomes[index] = { url: urls[index], error: error.message };
+        }
+        if (onResult) onResult(outcomes[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+    return outcomes;
+  }
 
+  /**
+   * Store a scan's scripts; synchronous so it can run inside one short transaction
+   * Returns { results, pending }, where pending holds the new versions compareVersions still has to diff
+   */
+  storeScan(target, url, extraction) {
     // Create scan record
     const scanId = this.storage.createScan(
       target.id,
       url,
       extraction.stats.totalScripts,
-      extraction.stats.totalSize
+      extraction.stats.totalSize,
+      {
+        authenticated: extraction.authenticated,
+        pages: extraction.pages,
+        failedScripts: (extraction.failures || []).length,
+        proxy: extraction.proxy || null
+      }
     );
 
     const results = {
-      target: domain,
+      target: target.domain,
+      program: target.program || null,
       url,
       scanId,
       timestamp: extraction.timestamp,
+      authenticated: extraction.authenticated,
+      loginError: extraction.loginError || null,
+      proxy: extraction.proxy || null,
       stats: extraction.stats,
       scripts: [],
-      changes: []
+      failures: extraction.failures || [],
+      changes: [],
+      endpoints: { added: [], removed: [] },
+      secrets: [],
+      newHosts: []
     };
 
+    const pending = {
+      rules: new NotificationRules(this.getNotificationRules(target.domain)),
+      knownHosts: new Set([target.domain, ...(this.storage.getTarget(target.domain)?.knownHosts || [])]),
+      versions: [], // { script, scriptResult, filename, previousVersion, endpointChanges }
+      children: [] // { entry, kind, before, after } for updated modules and source files
+    };
+    const seenHosts = new Set();
+    const normalizer = this.getNormalizer(target.domain);
+
+    // Scripts still present under their known name cannot have been renamed
+    const identifiers = new Set(extraction.scripts.map(s => normalizer.normalize(s.url).identifier));
+    let renameCandidates = null; // Loaded when the first unknown script shows up
+
+    // Inline scripts are versioned like external ones, keyed by the page they are on
+    const inlineByPage = new Map();
+    for (const script of extraction.inlineScripts || []) {
+      const page = script.page || url;
+      if (!inlineByPage.has(page)) inlineByPage.set(page, []);
+      inlineByPage.get(page).push(script);
+    }
+    const inlineScripts = Array.from(inlineByPage, ([page, scripts]) => this.identifyInlineScripts(target.id, page, scripts)).flat();
+
     // Process each script
-    for (const script of extraction.scripts) {
-      const normalizedInfo = this.normalizer.normalize(script.url);
-      
+    for (const script of [...extraction.scripts, ...inlineScripts]) {
+      const normalizedInfo = script.inline ? inlineInfo(script) : normalizer.normalize(script.url);
+
+      // An unknown name may be a known script renamed beyond what the normalizer recognizes
+      let rename = null;
+      if (!script.inline && this.renameThreshold !== false &&
+          !this.storage.findScript(target.id, normalizedInfo.identifier)) {
+        renameCandidates = renameCandidates || this.getRenameCandidates(target.id, identifiers);
+        const match = this.findRenamedScript(renameCandidates, script);
+        if (match) {
+          rename = this.storage.renameScript(match.scriptId, script.url, normalizedInfo, { score: match.score, scanId });
+        }
+      }
+
       // Store script and version
       const stored = this.storage.storeScript(
         target.id,
         scanId,
         script,
-        normalizedInfo
+        normalizedInfo,
+        script.inline ? { kind: 'inline', page: script.inline.page, key: script.inline.key } : {}
       );
 
       const scriptResult = {
         url: script.url,
         normalizedUrl: normalizedInfo.normalized,
         identifier: normalizedInfo.identifier,
-        baseName: this.normalizer.extractBaseName(script.url),
+        baseName: script.inline ? normalizedInfo.filename : normalizer.extractBaseName(script.url),
         size: script.size,
+        loadMethod: script.loadMethod,
+        pages: script.inline ? [script.inline.page] : script.pages || [],
         isNew: stored.isNewScript,
         hasNewVersion: stored.isNewVersion,
         contentHash: stored.contentHash
       };
 
-      // If this is a new version of an existing script, diff against previous
-      if (stored.isNewVersion && !stored.isNewScript) {
-        const previousVersion = this.storage.getPreviousVersion(
-          stored.scriptId,
-          stored.versionId
+      if (rename) {
+        scriptResult.renamedFrom = { url: rename.from, baseName: normalizer.extractBaseName(rename.from), score: rename.score };
+      }
+
+      const previousVersion = stored.isNewVersion && !stored.isNewScript
+        ? this.storage.getPreviousVersion(stored.scriptId, stored.versionId)
+        : null;
+
+      seenHosts.add(hostOf(script.url));
+
+      // Compare endpoints against the previous version (all are new for a new script)
+      let endpointChanges = null;
+      if (stored.isNewVersion) {
+        const previousEndpoints = previousVersion ? this.endpointExtractor.extract(previousVersion.content) : [];
+        endpointHosts(previousEndpoints).forEach(host => pending.knownHosts.add(host));
+
+        endpointChanges = this.endpointExtractor.compare(
+          previousEndpoints,
+          this.endpointExtractor.extract(script.content)
         );
+        endpointHosts(endpointChanges.added).forEach(host => seenHosts.add(host));
+
+        scriptResult.endpoints = endpointChanges;
+
+        for (const endpoint of endpointChanges.added) {
+          results.endpoints.added.push({ ...endpoint, script: scriptResult.baseName, scriptUrl: script.url });
+        }
+        for (const endpoint of endpointChanges.removed) {
+          results.endpoints.removed.push({ ...endpoint, script: scriptResult.baseName, scriptUrl: script.url });
+        }
+
+        // Only report secrets that were not already in the previous version
+        const secrets = this.secretScanner.compare(
+          previousVersion ? this.secretScanner.scan(previousVersion.content) : [],
+          this.secretScanner.scan(script.content)
+        );
+
+        scriptResult.secrets = secrets;
 
-        if (previousVersion) {
-          const diff = await this.differ.diff(
-            previousVersion.content,
-            script.content
-          );
-
-          scriptResult.diff = diff.stats;
-
-          // Add to changes list
-          results.changes.push({
-            script: normalizedInfo.filename,
-            baseName: scriptResult.baseName,
-            url: script.url,
-            stats: diff.stats,
-            added: diff.changes.added,
-            removed: diff.changes.removed
-          });
+        for (const finding of secrets) {
+          results.secrets.push({ ...finding, script: scriptResult.baseName, scriptUrl: script.url });
         }
+
+        // Flagged versions are never removed by retention
+        if (secrets.length > 0) {
+          this.storage.flagVersion(stored.versionId, 'secrets');
+        }
+        if (previousVersion && (endpointChanges.added.length > 0 || endpointChanges.removed.length > 0)) {
+          this.storage.flagVersion(stored.versionId, 'endpoints');
+        }
+      }
+
+      // Track each webpack module of a changed bundle as its own versioned artifact
+      if (stored.isNewVersion) {
+        scriptResult.modules = this.storeModules(target.id, scanId, stored.scriptId, script, previousVersion, pending.children);
+      }
+
+      // Unpack original sources when the bundle changed or has never been unpacked
+      if (script.sourceMap &&
+          (stored.isNewVersion || this.storage.getChildScripts(stored.scriptId, 'source').length === 0)) {
+        scriptResult.sourceMap = this.storeSourceFiles(target.id, scanId, stored.scriptId, script, pending.children);
+      }
+
+      if (stored.isNewVersion) {
+        pending.versions.push({ script, scriptResult, filename: normalizedInfo.filename, previousVersion, endpointChanges });
       }
 
       results.scripts.push(scriptResult);
     }
 
-    // Send Discord notifications for changes
-    if (this.notifyDiscord) {
-      const newScripts = results.scripts.filter(s => s.isNew);
-      const updatedScripts = results.scripts.filter(s => s.hasNewVersion && !s.isNew);
+    this.storage.addKnownHosts(target.domain, Array.from(seenHosts).filter(Boolean));
 
-      if (newScripts.length > 0 || updatedScripts.length > 0) {
-        await this.sendDiscordNotification(results.url, newScripts, updatedScripts);
-      }
+    return { results, pending };
+  }
+
+  /**
+   * Diff the new versions a scan stored against their previous ones and decide which to notify
+   * Runs outside the storage transaction: formatting and AST diffs of large bundles take a while
+   */
+  async compareVersions(results, { rules, knownHosts, versions, children }) {
+    for (const { entry, kind, before, after } of children) {
+      entry.stats = (await this.differ.diff(before, after, { format: false })).stats;
+      if (kind === 'module') entry.cosmetic = isCosmeticModule(this.canonicalizer, before, after);
     }
 
-    return results;
+    for (const { script, scriptResult, filename, previousVersion, endpointChanges } of versions) {
+      // If this is a new version of an existing script, diff against previous
+      let diff = null;
+      if (previousVersion) {
+        diff = await this.differ.diff(
+          previousVersion.content,
+          script.content
+        );
+
+        scriptResult.diff = diff.stats;
+
+        // Renamed identifiers, new module ids, hashes and timestamps only
+        scriptResult.cosmetic = this.canonicalizer.isCosmetic(previousVersion.content, script.content) === true;
+
+        // Which functions, classes, keys and webpack modules changed; skipped for cosmetic updates,
+        // where renamed locals would mark nearly every unit as modified
+        const semantic = scriptResult.cosmetic
+          ? { parsed: false }
+          : await this.semanticDiffer.diff(previousVersion.content, script.content);
+        scriptResult.semantic = semantic.parsed ? summarizeSemantic(semantic) : null;
+
+        // Add to changes list
+        results.changes.push({
+          script: filename,
+          baseName: scriptResult.baseName,
+          url: script.url,
+          renamedFrom: scriptResult.renamedFrom || null,
+          stats: diff.stats,
+          added: diff.changes.added,
+          removed: diff.changes.removed,
+          semantic: semantic.parsed ? semantic : null,
+          cosmetic: scriptResult.cosmetic,
+          modules: scriptResult.modules,
+          endpoints: scriptResult.endpoints
+        });
+      }
+
+      // Decide whether (and where) this change is worth a notification
+      const item = this.ruleItem({
+        url: script.url,
+        baseName: scriptResult.baseName,
+        isNew: scriptResult.isNew,
+        content: script.content,
+        diff,
+        cosmetic: scriptResult.cosmetic === true,
+        endpointsAdded: endpointChanges.added
+      }, knownHosts);
+
+      scriptResult.notification = this.decideNotification(rules, item);
+      for (const host of item.newHosts) {
+        if (!results.newHosts.includes(host)) results.newHosts.push(host);
+      }
+    }
   }
 
   /**
-   * Send Discord webhook notification
+   * Give each inline script of a page a stable key: its id attribute ("#__NEXT_DATA__"), the global it assigns
+   * ("__APOLLO_STATE__"), or, for anonymous scripts, the key of the page's stored anonymous script with the same
+   * or most similar content, falling back to a number for its position among the page's anonymous scripts
+   * Returns script-like objects: { url, content, size, loadMethod: 'inline', inline: { page, key, type } }
    */
-  async sendDiscordNotification(targetUrl, newScripts, updatedScripts) {
-    const embeds = [];
+  identifyInlineScripts(targetId, pageUrl, inlineScripts) {
+    const page = pageUrl.replace(/#.*$/, '');
+    // Fetch mode trims inline scripts; a trailing newline lets the differ count single-line changes
+    inlineScripts = inlineScripts.map(script => ({ ...script, content: `${script.content.trim()}\n` }));
+    const used = new Set();
+    const keys = new Map(); // inline script -> key
+    const anonymous = [];
 
-    // New scripts embed
-    if (newScripts.length > 0) {
-      const scriptList = newScripts
-        .slice(0, 10)
-        .map(s => `• \`${s.baseName}\``)
-        .join('\n');
-      
-      embeds.push({
-        title: '🆕 New Scripts Discovered',
-        color: 0x00ff00, // Green
-        fields: [
-          { name: 'Target', value: targetUrl, inline: false },
-          { name: `Scripts (${newScripts.length})`, value: scriptList || 'None', inline: false }
-        ],
-        timestamp: new Date().toISOString()
-      });
+    for (const script of inlineScripts) {
+      const key = inlineKey(script);
+      if (!key) {
+        anonymous.push(script);
+        continue;
+      }
+
+      let unique = key;
+      for (let n = 2; used.has(unique); n++) unique = `${key} (${n})`;
+      used.add(unique);
+      keys.set(script, unique);
     }
 
-    // Updated scripts embed
-    if (updatedScripts.length > 0) {
-      const scriptList = updatedScripts
-        .slice(0, 10)
+    if (anonymous.length > 0) {
+      const candidates = this.storage.getTargetScripts(targetId)
+        .filter(s => s.kind === 'inline' && s.page === page && /^\d+$/.test(s.key))
         .map(s => {
-          const diff = s.diff ? ` (+${s.diff.additions} -${s.diff.deletions})` : '';
-          return `• \`${s.baseName}\`${diff}`;
+          const latest = this.storage.getScriptVersions(s.id)[0];
+          return latest && {
+            key: s.key,
+            contentHash: latest.contentHash,
+            size: latest.size,
+            content: () => this.storage.readContent(latest)
+          };
         })
-        .join('\n');
-      
-      embeds.push({
-        title: '📝 Scripts Updated',
-        color: 0x0099ff, // Blue
-        fields: [
-          { name: 'Target', value: targetUrl, inline: false },
-          { name: `Scripts (${updatedScripts.length})`, value: scriptList || 'None', inline: false }
-        ],
-        timestamp: new Date().toISOString()
+        .filter(Boolean);
+      const claim = (script, candidate) => {
+        keys.set(script, candidate.key);
+        used.add(candidate.key);
+        candidates.splice(candidates.indexOf(candidate), 1);
+      };
+
+      const changed = anonymous.filter(script => {
+        const hash = this.storage.hashContent(script.content);
+        const same = candidates.find(c => c.contentHash === hash);
+        if (same) claim(script, same);
+        return !same;
+      });
+
+      const unmatched = changed.filter(script => {
+        const match = candidates.length > 0 ? this.similarity.bestMatch(script.content, candidates) : null;
+        if (match) claim(script, match.candidate);
+        return !match;
       });
+
+      for (const script of unmatched) {
+        let n = anonymous.indexOf(script) + 1;
+        while (used.has(String(n))) n++;
+        keys.set(script, String(n));
+        used.add(String(n));
+      }
     }
 
-    if (embeds.length === 0) return;
+    return inlineScripts.map(script => ({
+      url: `${page}#inline:${keys.get(script)}`,
+      content: script.content,
+      size: script.content.length,
+      loadMethod: 'inline',
+      inline: { page, key: keys.get(script), type: script.type }
+    }));
+  }
 
-    try {
-      const response = await fetch(this.webhookUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ embeds })
+  /**
+   * Top-level scripts of a target that were seen recently but are missing from this scan
+   */
+  getRenameCandidates(targetId, identifiers) {
+    const since = Date.now() - RENAME_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+    return this.storage.getTargetScripts(targetId)
+      .filter(s => s.kind !== 'inline' && !identifiers.has(s.identifier) && new Date(s.lastSeen).getTime() >= since)
+      .map(s => {
+        const latest = this.storage.getScriptVersions(s.id)[0];
+        return latest && {
+          scriptId: s.id,
+          size: latest.size,
+          content: () => this.storage.readContent(latest)
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Candidate a new script is most similar to (at or above the rename threshold): { scriptId, score } or null
+   * A matched candidate is taken out of the list, so two new scripts never claim the same old one
+   */
+  findRenamedScript(candidates, script) {
+    if (candidates.length === 0) return null;
+
+    const match = this.similarity.bestMatch(script.content, candidates);
+    if (!match) return null;
+
+    candidates.splice(candidates.indexOf(match.candidate), 1);
+    return { scriptId: match.candidate.scriptId, score: Math.round(match.score * 100) / 100 };
+  }
+
+  /**
+   * What notification rules look at for one new script version
+   * New scripts count every line as added; hosts not in knownHosts are new
+   */
+  ruleItem({ url, baseName, isNew, content, diff, cosmetic = false, endpointsAdded }, knownHosts) {
+    const candidates = [...(isNew ? [hostOf(url)] : []), ...endpointHosts(endpointsAdded)];
+    const addedLines = diff ? diff.changes.added.map(line => line.content) : content.split('\n');
+
+    return {
+      url,
+      baseName,
+      isNew,
+      cosmetic,
+      additions: diff ? diff.stats.additions : addedLines.length,
+      deletions: diff ? diff.stats.deletions : 0,
+      addedLines,
+      endpointsAdded: endpointsAdded.map(e => e.value),
+      newHosts: [...new Set(candidates)].filter(host => host && !knownHosts.has(host))
+    };
+  }
+
+  /**
+   * Rule decision for a rule item
+   * Unless includeCosmetic is set, cosmetic updates are only notified when a rule with the cosmetic key matches them
+   */
+  decideNotification(rules, item) {
+    if (item.cosmetic && !this.includeCosmetic) {
+      const decision = rules.decide(item, { cosmeticRulesOnly: true });
+      return decision.rule ? decision : { rule: null, notify: false, severity: 'info', channels: null };
+    }
+    return rules.decide(item);
+  }
+
+  /**
+   * Rules for a target: its own (or those passed in options) first, then the global ones
+   */
+  getNotificationRules(domain) {
+    const saved = this.storage.getNotificationRules(domain);
+    return [...(this.options.rules || saved.target), ...saved.global];
+  }
+
+  /**
+   * Filename normalizer for a target: the one passed in options, else one built from the target's saved rules
+   */
+  getNormalizer(domain) {
+    if (this.options.normalizer) return this.normalizer;
+
+    const rules = this.storage.getTarget(domain)?.normalizer;
+    return rules ? new FilenameNormalizer(rules) : this.normalizer;
+  }
+
+  /**
+   * How URLs normalize under a target's rules (or the given rules): [{ url, identifier, baseName, rules }]
+   */
+  normalizeUrls(urls, domain = null, rulesOverride = null) {
+    return urls.map(url => {
+      const normalizer = rulesOverride
+        ? new FilenameNormalizer(rulesOverride)
+        : this.getNormalizer(domain || hostOf(url));
+      const info = normalizer.normalize(url);
+      return {
+        url,
+        normalized: info.normalized,
+        identifier: info.identifier,
+        baseName: normalizer.extractBaseName(url),
+        rules: info.rules
+      };
+    });
+  }
+
+  /**
+   * Regroup a target's stored scripts under its current normalizer rules (see Storage.renormalize)
+   */
+  renormalize(domain, options = {}) {
+    const target = this.storage.getTarget(domain);
+    if (!target) return null;
+
+    const normalizer = this.getNormalizer(domain);
+    return this.storage.renormalize(target.id, url => normalizer.normalize(url), options);
+  }
+
+  /**
+   * Re-evaluate the notification rules against a stored scan (optionally with other rules)
+   * Known hosts are rebuilt from script URLs of earlier scans and the endpoints of previous versions
+   */
+  async testRules(scanId, rulesOverride = null) {
+    const scan = this.storage.getScan(scanId);
+    if (!scan) return null;
+
+    const target = this.storage.getTargetById(scan.targetId);
+    const rules = new NotificationRules(rulesOverride || this.getNotificationRules(target.domain));
+    const knownHosts = new Set([target.domain]);
+    const normalizer = this.getNormalizer(target.domain);
+
+    for (const script of this.storage.getTargetScripts(target.id)) {
+      for (const version of this.storage.getScriptVersions(script.id)) {
+        if (version.scanId < scanId) knownHosts.add(hostOf(version.url));
+      }
+    }
+
+    const items = [];
+
+    for (const version of this.storage.getScanVersions(scanId)) {
+      const script = this.storage.getScript(version.scriptId);
+      if (!script || script.parentId) continue;
+
+      const { content } = this.storage.getVersionContent(version.id) || {};
+      if (!content) continue;
+
+      const isNew = this.storage.getScriptVersions(script.id).every(v => v.id >= version.id);
+      const previousVersion = isNew ? null : this.storage.getPreviousVersion(script.id, version.id);
+      const previousEndpoints = previousVersion ? this.endpointExtractor.extract(previousVersion.content) : [];
+      endpointHosts(previousEndpoints).forEach(host => knownHosts.add(host));
+
+      const endpointChanges = this.endpointExtractor.compare(previousEndpoints, this.endpointExtractor.extract(content));
+      const diff = previousVersion ? await this.differ.diff(previousVersion.content, content) : null;
+
+      const item = this.ruleItem({
+        url: version.url,
+        baseName: script.kind === 'inline' ? script.baseName : normalizer.extractBaseName(version.url),
+        isNew,
+        content,
+        diff,
+        cosmetic: previousVersion ? this.canonicalizer.isCosmetic(previousVersion.content, content) === true : false,
+        endpointsAdded: endpointChanges.added
+      }, knownHosts);
+
+      items.push({
+        scriptId: script.id,
+        versionId: version.id,
+        url: item.url,
+        baseName: item.baseName,
+        isNew,
+        cosmetic: item.cosmetic,
+        additions: item.additions,
+        deletions: item.deletions,
+        endpointsAdded: item.endpointsAdded,
+        newHosts: item.newHosts,
+        decision: this.decideNotification(rules, item)
       });
+    }
 
-      if (!response.ok) {
-        console.error(`Discord webhook failed: ${response.status}`);
+    return { scan, target: target.domain, rules: rules.rules.map(r => r.name), items };
+  }
+
+  /**
+   * Pick the credentials for a scan: explicitly passed ones replace the target's saved ones
+   */
+  resolveAuth(target, authOptions) {
+    if (authOptions) {
+      const auth = AuthConfig.fromOptions(authOptions, target.domain);
+      if (!auth.isEmpty()) {
+        this.storage.setTargetAuth(target.domain, auth.toJSON());
+        return auth;
       }
+    }
+
+    return target.auth ? new AuthConfig(target.auth) : null;
+  }
+
+  /**
+   * Show or clear the saved credentials of a target
+   */
+  getTargetAuth(domain) {
+    const target = this.storage.getTarget(domain);
+    if (!target) return undefined;
+    return target.auth ? new AuthConfig(target.auth) : null;
+  }
+
+  clearTargetAuth(domain) {
+    if (!this.storage.getTarget(domain)) return false;
+    this.storage.setTargetAuth(domain, null);
+    return true;
+  }
+
+  /**
+   * Unpack a script's source map and store each original file as a child artifact
+   * Updated files are queued on children for compareVersions to fill in their diff stats
+   */
+  storeSourceFiles(targetId, scanId, parentScriptId, script, children) {
+    const summary = { url: script.sourceMapUrl, files: 0, new: [], updated: [] };
+
+    let files;
+    try {
+      files = this.sourceMapUnpacker.unpack(script.sourceMap);
     } catch (error) {
-      console.error(`Discord webhook error: ${error.message}`);
+      return { ...summary, error: error.message };
+    }
+
+    summary.files = files.length;
+
+    for (const file of files) {
+      const stored = this.storage.storeChildArtifact(targetId, scanId, parentScriptId, 'source', {
+        ...file,
+        url: `${script.url}#${file.path}`
+      });
+
+      if (stored.isNewScript) {
+        summary.new.push(file.path);
+      } else if (stored.isNewVersion) {
+        const previousVersion = this.storage.getPreviousVersion(stored.scriptId, stored.versionId);
+        const entry = { path: file.path, scriptId: stored.scriptId, stats: null };
+        if (previousVersion) children.push({ entry, kind: 'source', before: previousVersion.content, after: file.content });
+
+        summary.updated.push(entry);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Split a webpack bundle into its modules and store each as a child artifact; null if it is not a bundle
+   * Modules stored with the previous version of the bundle but missing from this one are reported as removed;
+   * updated modules are queued on children for compareVersions to fill in their diff stats and cosmetic flag
+   */
+  storeModules(targetId, scanId, parentScriptId, script, previousVersion, children) {
+    const modules = this.moduleSplitter.split(script.content, script.sourceMap);
+    if (modules.length === 0) return null;
+
+    const summary = { modules: modules.length, new: [], updated: [], removed: [] };
+    const current = new Set(modules.map(m => m.path));
+
+    if (previousVersion) {
+      summary.removed = this.storage.getChildScripts(parentScriptId, 'module')
+        .filter(m => !current.has(m.path) && m.lastSeen >= previousVersion.timestamp)
+        .map(m => m.path);
+    }
+
+    for (const module of modules) {
+      const stored = this.storage.storeChildArtifact(targetId, scanId, parentScriptId, 'module', {
+        ...module,
+        url: `${script.url}#${module.path}`
+      });
+
+      if (stored.isNewScript) {
+        summary.new.push(module.path);
+      } else if (stored.isNewVersion) {
+        const previous = this.storage.getPreviousVersion(stored.scriptId, stored.versionId);
+        const entry = { path: module.path, id: module.id, scriptId: stored.scriptId, stats: null, cosmetic: false };
+        if (previous) children.push({ entry, kind: 'module', before: previous.content, after: module.content });
+
+        summary.updated.push(entry);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send change and secret alerts for a scan to the target's notification channels
+   * Each channel gets the changes whose rule decision selects it; secrets go to every channel
+   */
+  async sendNotifications(results) {
+    const channels = this.channels || this.getNotificationChannels(results.target) || [];
+    if (channels.length === 0) return;
+
+    const base = { target: results.target, url: results.url, scanId: results.scanId };
+    const changed = results.scripts.filter(s => s.hasNewVersion && s.notification && s.notification.notify);
+
+    await Promise.all(channels.map(async (channel) => {
+      const selected = changed.filter(s => {
+        const wanted = s.notification.channels;
+        return !wanted || wanted.includes(channel.name) || wanted.includes(channel.type);
+      });
+      if (selected.length === 0) return;
+
+      const urls = new Set(selected.map(s => s.url));
+      const decisions = selected.map(s => s.notification);
+
+      await this.notifications.send([channel], {
+        ...base,
+        kind: 'changes',
+        severity: NotificationRules.maxSeverity(decisions),
+        rules: [...new Set(decisions.map(d => d.rule).filter(Boolean))],
+        newScripts: selected.filter(s => s.isNew).map(s => ({ baseName: s.baseName, url: s.url, size: s.size })),
+        updatedScripts: selected.filter(s => !s.isNew)
+          .map(s => ({
+            baseName: s.baseName,
+            url: s.url,
+            size: s.size,
+            diff: s.diff || null,
+            renamedFrom: s.renamedFrom || null,
+            semantic: s.semantic || null,
+            modules: s.modules ? moduleChanges(s.modules, this.includeCosmetic) : null
+          })),
+        endpoints: {
+          added: results.endpoints.added.filter(e => urls.has(e.scriptUrl)),
+          removed: results.endpoints.removed.filter(e => urls.has(e.scriptUrl))
+        },
+        newHosts: results.newHosts
+      });
+    }));
+
+    if (results.secrets.length > 0) {
+      await this.notifications.send(channels, { ...base, kind: 'secrets', severity: 'critical', secrets: results.secrets });
     }
   }
 
+  /**
+   * Notification channels saved on a target (undefined if the target does not exist)
+   */
+  getNotificationChannels(domain) {
+    const target = this.storage.getTarget(domain);
+    if (!target) return undefined;
+    return target.notifications || [];
+  }
+
+  /**
+   * Replace a target's notification channels (an empty list disables notifications)
+   */
+  setNotificationChannels(domain, channels) {
+    channels.forEach(channel => Notifications.validate(channel));
+    this.storage.setTargetNotifications(domain, channels.length > 0 ? channels : null);
+  }
+
+  /**
+   * Send a test message to each of a target's channels
+   */
+  async testNotifications(domain) {
+    const channels = this.getNotificationChannels(domain) || [];
+    return this.notifications.send(channels, {
+      kind: 'test',
+      target: domain,
+      url: this.normalizeUrl(domain),
+      scanId: null
+    });
+  }
+
   /**
    * Get scan history for a target
    */
@@ -202,10 +809,72 @@ export class UCMon {
   }
 
   /**
-   * Get all monitored targets
+   * Build the endpoint inventory for a target from every stored version
    */
-  listTargets() {
-    return this.storage.getAllTargets();
+  getEndpoints(targetDomain) {
+    const target = this.storage.getTarget(targetDomain);
+    if (!target) return null;
+
+    const inventory = new Map();
+
+    for (const script of this.storage.getTargetScripts(target.id)) {
+      // Oldest first so firstSeen reflects when the endpoint appeared
+      const versions = this.storage.getScriptVersions(script.id).reverse();
+      let latestValues = new Set();
+
+      for (const version of versions) {
+        const { content } = this.storage.getVersionContent(version.id) || {};
+        if (!content) continue;
+
+        const endpoints = this.endpointExtractor.extract(content);
+        latestValues = new Set(endpoints.map(e => e.value));
+
+        for (const endpoint of endpoints) {
+          if (!inventory.has(endpoint.value)) {
+            inventory.set(endpoint.value, {
+              ...endpoint,
+              scripts: [],
+              firstSeen: version.timestamp,
+              lastSeen: version.timestamp,
+              active: false
+            });
+          }
+
+          const entry = inventory.get(endpoint.value);
+          entry.lastSeen = version.timestamp > entry.lastSeen ? version.timestamp : entry.lastSeen;
+          entry.method = entry.method || endpoint.method;
+          if (!entry.scripts.includes(script.baseName)) {
+            entry.scripts.push(script.baseName);
+          }
+        }
+      }
+
+      // Endpoints in a script's latest version are still live
+      for (const value of latestValues) {
+        inventory.get(value).active = true;
+      }
+    }
+
+    return {
+      target: targetDomain,
+      endpoints: Array.from(inventory.values()).sort((a, b) => a.value.localeCompare(b.value))
+    };
+  }
+
+  /**
+   * Renamed scripts of a target, newest first: [{ scriptId, from, to, score, scanId, timestamp }]
+   */
+  getRenames(targetDomain) {
+    const target = this.storage.getTarget(targetDomain);
+    return target ? this.storage.getRenames(target.id) : null;
+  }
+
+  /**
+   * Get all monitored targets, optionally only those of one program
+   */
+  listTargets(options = {}) {
+    const targets = this.storage.getAllTargets();
+    return options.program ? targets.filter(t => t.program === options.program) : targets;
   }
 
   /**
@@ -224,10 +893,41 @@ export class UCMon {
     };
   }
 
+  /**
+   * List original source files unpacked from a script's source map
+   */
+  getSourceFiles(scriptId) {
+    return this.storage.getChildScripts(scriptId, 'source');
+  }
+
+  /**
+   * Resolve an original source path under a script to its child artifact
+   */
+  findSourceFile(scriptId, path) {
+    return this.storage.findChildScript(scriptId, 'source', path);
+  }
+
+  /**
+   * Webpack modules stored for a bundle
+   */
+  getModules(scriptId) {
+    return this.storage.getChildScripts(scriptId, 'module');
+  }
+
+  /**
+   * Resolve a module path (or "id:<id>", or a bare id) under a bundle to its child artifact
+   */
+  findModule(scriptId, path) {
+    return this.storage.findChildScript(scriptId, 'module', path) ||
+      this.storage.findChildScript(scriptId, 'module', `id:${path}`);
+  }
+
   /**
    * Diff two specific versions of a script
+   * options.semantic: compare functions, classes, keys and webpack modules instead of lines
+   * options.canonical: diff the canonical forms, hiding renamed locals, module ids, hashes and timestamps
    */
-  async diffVersions(scriptId, versionId1, versionId2) {
+  async diffVersions(scriptId, versionId1, versionId2, options = {}) {
     const v1 = this.storage.getVersionContent(versionId1);
     const v2 = this.storage.getVersionContent(versionId2);
 
@@ -239,6 +939,23 @@ export class UCMon {
       throw new Error('Version content not available');
     }
 
+    if (options.semantic) {
+      const semantic = await this.semanticDiffer.diff(v1.content, v2.content);
+      if (!semantic.parsed) {
+        throw new Error('Semantic diff not available: a version could not be parsed as JavaScript');
+      }
+      return semantic;
+    }
+
+    if (options.canonical) {
+      const before = this.canonicalizer.canonicalize(v1.content);
+      const after = this.canonicalizer.canonicalize(v2.content);
+      if (before === null || after === null) {
+        throw new Error('Canonical diff not available: a version could not be parsed as JavaScript');
+      }
+      return await this.differ.diff(before, after);
+    }
+
     return await this.differ.diff(v1.content, v2.content);
   }
 
@@ -267,4 +984,77 @@ export class UCMon {
   }
 }
 
+/**
+ * A module factory is not a program on its own; wrapped as a one-module map it parses, and the
+ * canonicalizer also masks the ids it passes to require
+ */
+function isCosmeticModule(canonicalizer, oldFactory, newFactory) {
+  return canonicalizer.isCosmetic(`({0:${oldFactory}})`, `({0:${newFactory}})`) === true;
+}
+
+/**
+ * Added, changed and removed module paths of a bundle, for notifications
+ */
+function moduleChanges(summary, includeCosmetic) {
+  return {
+    added: summary.new,
+    updated: summary.updated.filter(m => includeCosmetic || !m.cosmetic).map(m => m.path),
+    removed: summary.removed
+  };
+}
+
+/**
+ * Semantic diff without the body diffs, for scan results and notifications
+ */
+function summarizeSemantic(semantic) {
+  const unit = ({ kind, name }) => ({ kind, name });
+  return {
+    stats: semantic.stats,
+    added: semantic.added.map(unit),
+    removed: semantic.removed.map(unit),
+    modified: semantic.modified.map(m => ({ ...unit(m), additions: m.additions, deletions: m.deletions }))
+  };
+}
+
+/**
+ * Key of an inline script that names itself (id attribute or assigned global), or null
+ */
+function inlineKey(script) {
+  if (script.id) return `#${script.id}`;
+  const match = script.content.match(GLOBAL_ASSIGNMENT);
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Normalized info for an inline script (its identity comes from the page and key, not the URL)
+ */
+function inlineInfo(script) {
+  return {
+    identifier: `inline:${script.inline.page}#${script.inline.key}`,
+    normalized: script.url,
+    filename: `inline:${script.inline.key}`
+  };
+}
+
+/**
+ * Hostname of a URL, or null if it is not absolute
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Hosts of absolute (or protocol-relative) endpoint URLs
+ */
+function endpointHosts(endpoints) {
+  return endpoints
+    .filter(e => /^(https?:)?\/\//i.test(e.value))
+    .map(e => hostOf(e.value.startsWith('//') ? `https:${e.value}` : e.value))
+    .filter(Boolean);
+}
+
 export default UCMon;
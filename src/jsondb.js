@@ -0,0 +1,311 @@
+/**
+ * JSON Database - Record backend for Storage that keeps everything in uc-mon.json
+ * The whole file is rewritten on every change, or once per transaction
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync, statSync } from 'fs';
+
+export class JsonDatabase {
+  constructor(path) {
+    this.path = path;
+    this.depth = 0;
+    this.dirty = false;
+    this.db = this.load();
+  }
+
+  load() {
+    if (existsSync(this.path)) {
+      try {
+        this.loadedMtime = statSync(this.path).mtimeMs;
+        const db = JSON.parse(readFileSync(this.path, 'utf-8'));
+        db.blobs = db.blobs || {};
+        db.settings = db.settings || {};
+        return db;
+      } catch (e) {
+        console.error('Error loading database, starting fresh:', e.message);
+      }
+    }
+
+    return {
+      targets: {},
+      scans: [],
+      scripts: {},
+      scriptVersions: {},
+      blobs: {},
+      settings: {},
+      nextId: { target: 1, scan: 1, script: 1, version: 1 }
+    };
+  }
+
+  save() {
+    if (this.depth > 0) {
+      this.dirty = true;
+      return;
+    }
+
+    // Write then rename so a crash mid-write cannot truncate the database
+    const tmpPath = `${this.path}.${process.pid}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(this.db, null, 2));
+    renameSync(tmpPath, this.path);
+    this.loadedMtime = statSync(this.path).mtimeMs;
+    this.dirty = false;
+  }
+
+  /**
+   * Reload if another process wrote the file since we last loaded or saved it
+   */
+  refresh() {
+    if (this.depth > 0 || !existsSync(this.path)) return;
+    if (statSync(this.path).mtimeMs !== this.loadedMtime) {
+      this.db = this.load();
+    }
+  }
+
+  begin() {
+    this.depth++;
+  }
+
+  commit() {
+    this.depth--;
+    if (this.depth === 0 && this.dirty) this.save();
+  }
+
+  /**
+   * Discard unsaved changes by reloading the last saved state
+   */
+  rollback() {
+    this.depth--;
+    if (this.depth === 0) {
+      this.db = this.load();
+      this.dirty = false;
+    }
+  }
+
+  assignId(kind, record) {
+    if (record.id) {
+      this.db.nextId[kind] = Math.max(this.db.nextId[kind], record.id + 1);
+      return record;
+    }
+    return { id: this.db.nextId[kind]++, ...record };
+  }
+
+  // Targets
+
+  getTarget(domain) {
+    return this.db.targets[domain] || null;
+  }
+
+  getTargetById(id) {
+    return Object.values(this.db.targets).find(t => t.id === id) || null;
+  }
+
+  listTargets() {
+    return Object.values(this.db.targets);
+  }
+
+  insertTarget(fields) {
+    const target = this.assignId('target', fields);
+    this.db.targets[target.domain] = target;
+    this.save();
+    return target;
+  }
+
+  updateTarget(target) {
+    this.db.targets[target.domain] = target;
+    this.save();
+  }
+
+  deleteTarget(id) {
+    const target = this.getTargetById(id);
+    if (target) delete this.db.targets[target.domain];
+    this.save();
+  }
+
+  // Scans
+
+  insertScan(fields) {
+    const scan = this.assignId('scan', fields);
+    this.db.scans.push(scan);
+    this.save();
+    return scan;
+  }
+
+  getScan(id) {
+    return this.db.scans.find(s => s.id === id) || null;
+  }
+
+  listScans(targetId) {
+    return this.db.scans.filter(s => s.targetId === targetId);
+  }
+
+  countScans(targetId) {
+    return this.listScans(targetId).length;
+  }
+
+  deleteScans(ids) {
+    const remove = new Set(ids);
+    this.db.scans = this.db.scans.filter(s => !remove.has(s.id));
+    this.save();
+  }
+
+  // Scripts
+
+  getScriptByIdentifier(targetId, identifier) {
+    return this.db.scripts[`${targetId}:${identifier}`] || null;
+  }
+
+  getScript(id) {
+    return Object.values(this.db.scripts).find(s => s.id === id) || null;
+  }
+
+  /**
+   * Scripts matching { targetId, parentId }; parentId null means top-level scripts only
+   */
+  listScripts(filter = {}) {
+    return Object.values(this.db.scripts).filter(s =>
+      (filter.targetId === undefined || s.targetId === filter.targetId) &&
+      (filter.parentId === undefined || (s.parentId || null) === filter.parentId)
+    );
+  }
+
+  countScripts(filter = {}) {
+    return this.listScripts(filter).length;
+  }
+
+  insertScript(fields) {
+    const script = this.assignId('script', fields);
+    this.db.scripts[`${script.targetId}:${script.identifier}`] = script;
+    this.save();
+    return script;
+  }
+
+  updateScript(script) {
+    // The identifier may have changed, so drop the record under its old key first
+    for (const key in this.db.scripts) {
+      if (this.db.scripts[key].id === script.id) delete this.db.scripts[key];
+    }
+    this.db.scripts[`${script.targetId}:${script.identifier}`] = script;
+    this.save();
+  }
+
+  deleteScript(id) {
+    const script = this.getScript(id);
+    if (script) {
+      delete this.db.scripts[`${script.targetId}:${script.identifier}`];
+      delete this.db.scriptVersions[`${id}`];
+    }
+    this.save();
+  }
+
+  // Versions
+
+  insertVersion(fields) {
+    const version = this.assignId('version', fields);
+    const key = `${version.scriptId}`;
+    if (!this.db.scriptVersions[key]) {
+      this.db.scriptVersions[key] = [];
+    }
+    this.db.scriptVersions[key].push(version);
+    this.save();
+    return version;
+  }
+
+  getVersion(id) {
+    for (const scriptId in this.db.scriptVersions) {
+      const version = this.db.scriptVersions[scriptId].find(v => v.id === id);
+      if (version) return version;
+    }
+    return null;
+  }
+
+  updateVersion(version) {
+    const key = `${version.scriptId}`;
+    const versions = this.db.scriptVersions[key] || (this.db.scriptVersions[key] = []);
+    const index = versions.findIndex(v => v.id === version.id);
+
+    if (index !== -1) {
+      versions[index] = version;
+    } else {
+      // The version moved to another script, so drop it from its old list first
+      for (const other in this.db.scriptVersions) {
+        if (other !== key) this.db.scriptVersions[other] = this.db.scriptVersions[other].filter(v => v.id !== version.id);
+      }
+      versions.push(version);
+      versions.sort((a, b) => a.id - b.id);
+    }
+    this.save();
+  }
+
+  listVersions(scriptId) {
+    return this.db.scriptVersions[`${scriptId}`] || [];
+  }
+
+  listAllVersions() {
+    return Object.values(this.db.scriptVersions).flat();
+  }
+
+  listScanVersions(scanId) {
+    return this.listAllVersions().filter(v => v.scanId === scanId);
+  }
+
+  findVersionByHash(scriptId, contentHash) {
+    return this.listVersions(scriptId).find(v => v.contentHash === contentHash) || null;
+  }
+
+  deleteVersions(ids) {
+    const remove = new Set(ids);
+    for (const scriptId in this.db.scriptVersions) {
+      this.db.scriptVersions[scriptId] = this.db.scriptVersions[scriptId].filter(v => !remove.has(v.id));
+    }
+    this.save();
+  }
+
+  // Blobs
+
+  getBlob(hash) {
+    return this.db.blobs[hash] || null;
+  }
+
+  putBlob(hash, entry) {
+    this.db.blobs[hash] = entry;
+    this.save();
+  }
+
+  deleteBlob(hash) {
+    delete this.db.blobs[hash];
+    this.save();
+  }
+
+  listBlobs() {
+    return Object.entries(this.db.blobs).map(([hash, entry]) => ({ hash, ...entry }));
+  }
+
+  // Settings
+
+  getSetting(key) {
+    return this.db.settings[key] ?? null;
+  }
+
+  setSetting(key, value) {
+    if (value === null || value === undefined) {
+      delete this.db.settings[key];
+    } else {
+      this.db.settings[key] = value;
+    }
+    this.save();
+  }
+
+  listSettings() {
+    return { ...this.db.settings };
+  }
+
+  getNextIds() {
+    return { ...this.db.nextId };
+  }
+
+  close() {
+    this.save();
+  }
+}
+
+export default JsonDatabase;
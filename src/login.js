@@ -0,0 +1,186 @@
+/**
+ * Login Flow - Declarative login recipes for browser-mode scans
+ * A recipe is a list of steps (goto, fill, click, press, wait, waitForSelector,
+ * waitForUrl, totp) plus a pattern that identifies the login page
+ */
+
+import { createHmac } from 'crypto';
+import { readFileSync } from 'fs';
+
+const STEP_REQUIREMENTS = {
+  goto: ['url'],
+  fill: ['selector', 'value'],
+  click: ['selector'],
+  press: ['key'],
+  wait: ['ms'],
+  waitForSelector: ['selector'],
+  waitForUrl: ['url'],
+  totp: ['selector', 'secret']
+};
+
+export class LoginFlow {
+  constructor(recipe) {
+    LoginFlow.validate(recipe);
+    this.recipe = recipe;
+    this.loginUrl = recipe.loginUrl || null;
+    this.detect = recipe.detect || null;
+    this.steps = recipe.steps;
+  }
+
+  /**
+   * Load a recipe from a JSON file
+   */
+  static load(path) {
+    let recipe;
+    try {
+      recipe = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Invalid login recipe ${path}: ${e.message}`);
+    }
+    LoginFlow.validate(recipe);
+    return recipe;
+  }
+
+  static validate(recipe) {
+    if (!recipe || !Array.isArray(recipe.steps) || recipe.steps.length === 0) {
+      throw new Error('Login recipe needs a non-empty "steps" array');
+    }
+
+    recipe.steps.forEach((step, i) => {
+      const required = STEP_REQUIREMENTS[step.action];
+      if (!required) {
+        throw new Error(`Login step ${i + 1}: unknown action "${step.action}"`);
+      }
+      for (const field of required) {
+        if (step[field] === undefined) {
+          throw new Error(`Login step ${i + 1} (${step.action}) is missing "${field}"`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Run every step on a Puppeteer page
+   */
+  async run(page, options = {}) {
+    const timeout = options.timeout || 30000;
+
+    for (const step of this.steps) {
+      switch (step.action) {
+        case 'goto':
+          await page.goto(this.resolveValue(step.url), { waitUntil: 'networkidle2', timeout });
+          break;
+        case 'fill':
+          await page.waitForSelector(step.selector, { timeout });
+          // Clear any prefilled value before typing
+          await page.$eval(step.selector, el => { el.value = ''; });
+          await page.type(step.selector, this.resolveValue(step.value));
+          break;
+        case 'click':
+          await page.waitForSelector(step.selector, { timeout });
+          await page.click(step.selector);
+          break;
+        case 'press':
+          await page.keyboard.press(step.key);
+          break;
+        case 'wait':
+          await new Promise(resolve => setTimeout(resolve, step.ms));
+          break;
+        case 'waitForSelector':
+          await page.waitForSelector(step.selector, { timeout });
+          break;
+        case 'waitForUrl': {
+          const pattern = this.toPattern(step.url);
+          await page.waitForFunction(
+            (source, flags) => new RegExp(source, flags).test(window.location.href),
+            { timeout },
+            pattern.source,
+            pattern.flags
+          );
+          break;
+        }
+        case 'totp':
+          await page.waitForSelector(step.selector, { timeout });
+          await page.type(step.selector, LoginFlow.generateTotp(this.resolveValue(step.secret)));
+          break;
+      }
+    }
+  }
+
+  /**
+   * Whether a URL is the login page (we were logged out or redirected)
+   */
+  isLoginPage(url) {
+    if (this.detect) return this.toPattern(this.detect).test(url);
+    if (this.loginUrl) {
+      try {
+        const login = new URL(this.loginUrl);
+        const current = new URL(url);
+        return current.host === login.host && current.pathname === login.pathname;
+      } catch (e) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Plain strings match as substrings; "/pattern/flags" strings are regexes
+   */
+  toPattern(value) {
+    const match = /^\/(.+)\/([a-z]*)$/.exec(value);
+    if (match) return new RegExp(match[1], match[2]);
+    return new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  }
+
+  /**
+   * Substitute ${env:NAME} so passwords and seeds can stay out of the recipe
+   */
+  resolveValue(value) {
+    return String(value).replace(/\$\{env:([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`Login recipe references unset environment variable ${name}`);
+      }
+      return process.env[name];
+    });
+  }
+
+  /**
+   * RFC 6238 time-based one-time password from a base32 seed
+   */
+  static generateTotp(secret, options = {}) {
+    const period = options.period || 30;
+    const digits = options.digits || 6;
+    const time = options.time || Date.now();
+
+    const key = LoginFlow.decodeBase32(secret);
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / period)));
+
+    const hmac = createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** digits);
+
+    return code.toString().padStart(digits, '0');
+  }
+
+  static decodeBase32(input) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+
+    let bits = '';
+    for (const char of clean) {
+      const index = alphabet.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 character in TOTP secret');
+      bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+}
+
+export default LoginFlow;
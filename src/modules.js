@@ -0,0 +1,196 @@
+/**
+ * Module Splitter - Split webpack bundles into their individual modules
+ * Modules are found by id in the bundle's module maps and named by, in order of preference, a path used as
+ * the module key (development builds), webpack's pathinfo comment, or the source map's original file.
+ */
+
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+import { SourceMapUnpacker } from './sourcemap.js';
+
+const FUNCTION_TYPES = ['FunctionExpression', 'ArrowFunctionExpression', 'FunctionDeclaration'];
+
+// /*!*****!*\ !*** ./src/a.js ***! \*****/ (pathinfo) and /*! ./src/a.js */ (webpack 4 production)
+const PATHINFO_PATTERN = /!\*\*\* (.+?) \*\*\*!|\/\*!\s+(\S+?)\s+\*\//;
+
+export class ModuleSplitter {
+  constructor() {
+    this.sourceMapUnpacker = new SourceMapUnpacker();
+  }
+
+  /**
+   * Modules of a webpack bundle: [{ id, path, content, size }], empty for anything else
+   * path is the module's source path when known, "id:<id>" otherwise; paths are unique within a bundle
+   */
+  split(content, rawSourceMap = null) {
+    const ast = parse(content);
+    if (!ast) return [];
+
+    const found = findWebpackModules(ast);
+    if (found.length === 0) return [];
+
+    const mappings = rawSourceMap ? this.sourceMapUnpacker.decodeMappings(rawSourceMap) : null;
+    const seen = new Set();
+    const modules = [];
+
+    for (const { id, key, factory } of found) {
+      let path = (key && key.end < factory.start && pathComment(content.slice(key.end, factory.start))) ||
+        (isPath(id) && clean(id)) ||
+        (mappings && mappedSource(mappings, factory)) ||
+        `id:${id}`;
+
+      // The same module can be registered twice (e.g. in a runtime and a chunk)
+      for (let n = 2; seen.has(path); n++) path = `${path.replace(/ \(\d+\)$/, '')} (${n})`;
+      seen.add(path);
+
+      const source = `${content.slice(factory.start, factory.end)}\n`;
+      modules.push({ id, path, content: source, size: source.length });
+    }
+
+    return modules;
+  }
+}
+
+/**
+ * Module factories registered with webpack, as [{ id, key (property key node or null), factory }]:
+ *   (self.webpackChunk = ...).push([[ids], { 123: (e, t, n) => {...} }])   JSONP chunks (webpack 4/5)
+ *   var __webpack_modules__ = { "./src/a.js": (...) => {...} }            webpack 5 runtime
+ *   (function (modules) { ... })({ 0: function (...) {...} } or [function (...) {...}])  webpack 4 bootstrap
+ */
+export function findWebpackModules(ast) {
+  const modules = [];
+
+  const addModules = (node) => {
+    if (node.type === 'ObjectExpression') {
+      for (const property of node.properties) {
+        const id = property.type === 'Property' ? propertyKey(property) : null;
+        if (id !== null && FUNCTION_TYPES.includes(property.value.type)) {
+          modules.push({ id, key: property.key, factory: property.value });
+        }
+      }
+    } else if (node.type === 'ArrayExpression') {
+      node.elements.forEach((element, index) => {
+        if (element && FUNCTION_TYPES.includes(element.type)) modules.push({ id: String(index), key: null, factory: element });
+      });
+    }
+  };
+
+  walk.simple(ast, {
+    CallExpression(node) {
+      const callee = node.callee;
+
+      if (callee.type === 'MemberExpression' && !callee.computed && callee.property.name === 'push' &&
+          node.arguments[0]?.type === 'ArrayExpression') {
+        const [ids, map] = node.arguments[0].elements;
+        if (ids?.type === 'ArrayExpression' && map && isModuleMap(map)) addModules(map);
+      }
+
+      if (FUNCTION_TYPES.includes(callee.type) && callee.params.length === 1 &&
+          node.arguments.length === 1 && isModuleMap(node.arguments[0])) {
+        addModules(node.arguments[0]);
+      }
+    },
+    VariableDeclarator(node) {
+      if (node.id.type === 'Identifier' && node.id.name === '__webpack_modules__' && node.init) {
+        const init = node.init.type === 'ParenthesizedExpression' ? node.init.expression : node.init;
+        if (isModuleMap(init)) addModules(init);
+      }
+    }
+  });
+
+  return modules;
+}
+
+/**
+ * An object or array whose values are all functions (at least one), e.g. a webpack module map
+ */
+export function isModuleMap(node) {
+  if (node.type === 'ObjectExpression') {
+    return node.properties.length > 0 &&
+      node.properties.every(p => p.type === 'Property' && FUNCTION_TYPES.includes(p.value.type));
+  }
+  if (node.type === 'ArrayExpression') {
+    const elements = node.elements.filter(Boolean);
+    return elements.length > 0 && elements.every(e => FUNCTION_TYPES.includes(e.type));
+  }
+  return false;
+}
+
+function parse(content) {
+  const options = {
+    ecmaVersion: 'latest',
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    locations: true
+  };
+
+  for (const sourceType of ['module', 'script']) {
+    try {
+      return acorn.parse(content, { ...options, sourceType });
+    } catch (e) {
+      // Try the next source type
+    }
+  }
+  return null;
+}
+
+function propertyKey(property) {
+  if (!property.computed && property.key.type === 'Identifier') return property.key.name;
+  if (property.key.type === 'Literal') return String(property.key.value);
+  return null;
+}
+
+function pathComment(text) {
+  const match = text.match(PATHINFO_PATTERN);
+  return match ? clean(match[1] || match[2]) : null;
+}
+
+function isPath(id) {
+  return id.includes('/') || /\.[cm]?[jt]sx?$/.test(id);
+}
+
+/**
+ * "./src/a.js" -> "src/a.js"; concatenated modules keep their "+ 3 modules" suffix
+ */
+function clean(path) {
+  return path.replace(/^\.\//, '');
+}
+
+/**
+ * Original source most of a factory's mapped code comes from
+ */
+function mappedSource(mappings, factory) {
+  const counts = new Map();
+  const { start, end } = factory.loc;
+
+  for (let line = start.line - 1; line <= end.line - 1 && line < mappings.lines.length; line++) {
+    const segments = mappings.lines[line];
+    let i = line === start.line - 1 ? firstAtOrAfter(segments, start.column) : 0;
+    for (; i < segments.length; i++) {
+      const [column, sourceIndex] = segments[i];
+      if (line === end.line - 1 && column >= end.column) break;
+      const source = mappings.sources[sourceIndex];
+      if (source) counts.set(source, (counts.get(source) || 0) + 1);
+    }
+  }
+
+  let best = null;
+  for (const [source, count] of counts) {
+    if (!best || count > counts.get(best)) best = source;
+  }
+  return best;
+}
+
+function firstAtOrAfter(segments, column) {
+  let low = 0;
+  let high = segments.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (segments[mid][0] < column) low = mid + 1; else high = mid;
+  }
+  return low;
+}
+
+export default ModuleSplitter;
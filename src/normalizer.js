@@ -4,55 +4,125 @@
  */
 
 export class FilenameNormalizer {
-  constructor() {
+  /**
+   * options.disable: names of built-in patterns to skip
+   * options.replace: { builtInName: { regex, replacement, flags } } - swap a built-in pattern for another
+   * options.patterns: extra { name, regex, replacement, flags } rules, applied before the built-ins
+   */
+  constructor(options = {}) {
     // Common patterns for dynamic filename components
-    this.patterns = [
+    const builtIn = [
+      // Next.js build manifests: /_next/static/<buildId>/_buildManifest.js
+      { name: 'next-build-id', regex: /\/_next\/static\/[\w-]{8,}\/(_buildManifest|_ssgManifest|_middlewareManifest)\.js$/g, replacement: '/_next/static/[build]/$1.js' },
+
       // Webpack chunkhash: main.abc123def.js -> main.[hash].js
-      { regex: /([a-f0-9]{8,32})/gi, replacement: '[hash]' },
+      { name: 'hash', regex: /([a-f0-9]{8,32})/gi, replacement: '[hash]' },
       
       // Content hash patterns: bundle.contenthash.js
-      { regex: /\.([a-f0-9]{6,})\./gi, replacement: '.[hash].' },
+      { name: 'contenthash', regex: /\.([a-f0-9]{6,})\./gi, replacement: '.[hash].' },
       
       // Chunk IDs: chunk.123.js -> chunk.[id].js  
-      { regex: /chunk[.\-_](\d+)/gi, replacement: 'chunk.[id]' },
+      { name: 'chunk-id', regex: /chunk[.\-_](\d+)/gi, replacement: 'chunk.[id]' },
       
       // Numbered chunks: 0.js, 1.js, 123.js
-      { regex: /\/(\d+)\.js$/i, replacement: '/[chunk].js' },
+      { name: 'numbered-chunk', regex: /\/(\d+)\.js$/i, replacement: '/[chunk].js' },
       
       // Version strings: v1.2.3 or 1.2.3
-      { regex: /[v]?\d+\.\d+\.\d+(-[\w.]+)?/gi, replacement: '[version]' },
+      { name: 'version', regex: /[v]?\d+\.\d+\.\d+(-[\w.]+)?/gi, replacement: '[version]' },
       
       // Timestamps: 1704067200 (Unix timestamps)
-      { regex: /\b\d{10,13}\b/g, replacement: '[timestamp]' },
+      { name: 'timestamp', regex: /\b\d{10,13}\b/g, replacement: '[timestamp]' },
       
       // UUIDs
-      { regex: /[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/gi, replacement: '[uuid]' },
+      { name: 'uuid', regex: /[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/gi, replacement: '[uuid]' },
       
       // Build numbers: build123, build-123
-      { regex: /build[.\-_]?\d+/gi, replacement: 'build[n]' },
+      { name: 'build', regex: /build[.\-_]?\d+/gi, replacement: 'build[n]' },
       
       // Runtime chunks: runtime~main.js
-      { regex: /runtime~[\w]+/gi, replacement: 'runtime~[name]' },
+      { name: 'runtime', regex: /runtime~[\w]+/gi, replacement: 'runtime~[name]' },
     ];
+
+    const names = builtIn.map(p => p.name);
+    const disabled = new Set(options.disable || []);
+    const replaced = options.replace || {};
+    for (const name of [...disabled, ...Object.keys(replaced)]) {
+      if (!names.includes(name)) {
+        throw new Error(`Unknown built-in normalizer pattern "${name}" (one of: ${names.join(', ')})`);
+      }
+    }
+
+    const custom = (options.patterns || []).map((rule, index) => FilenameNormalizer.compileRule(rule, index));
+    const builtIns = builtIn
+      .filter(p => !disabled.has(p.name))
+      .map(p => replaced[p.name] ? FilenameNormalizer.compileRule({ name: p.name, ...replaced[p.name] }, p.name) : p);
+
+    this.patterns = [...custom, ...builtIns];
+  }
+
+  /**
+   * Check a rules object ({ disable, replace, patterns }); throws with the first problem found
+   */
+  static validate(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('Normalizer rules must be an object with "disable", "replace" and/or "patterns"');
+    }
+    if (options.disable !== undefined && !Array.isArray(options.disable)) {
+      throw new Error('Normalizer "disable" must be a list of built-in pattern names');
+    }
+    if (options.patterns !== undefined && !Array.isArray(options.patterns)) {
+      throw new Error('Normalizer "patterns" must be a list of { regex, replacement, flags } rules');
+    }
+    if (options.replace !== undefined && (typeof options.replace !== 'object' || Array.isArray(options.replace))) {
+      throw new Error('Normalizer "replace" must map built-in pattern names to { regex, replacement, flags } rules');
+    }
+    new FilenameNormalizer(options);
+  }
+
+  /**
+   * Turn a JSON rule ({ regex: "string", replacement, flags }) into a pattern
+   */
+  static compileRule(rule, index = 0) {
+    if (!rule || typeof rule.regex !== 'string' || typeof rule.replacement !== 'string') {
+      throw new Error(`Normalizer pattern ${index} needs "regex" and "replacement" strings`);
+    }
+
+    try {
+      return {
+        name: rule.name || `custom-${index}`,
+        regex: new RegExp(rule.regex, rule.flags ?? 'g'),
+        replacement: rule.replacement
+      };
+    } catch (e) {
+      throw new Error(`Normalizer pattern ${index} is not a valid regex: ${e.message}`);
+    }
   }
 
   /**
    * Normalize a script URL to a stable identifier
+   * rules lists the names of the patterns that changed the URL
    */
   normalize(url) {
     try {
       const parsed = new URL(url);
       let pathname = parsed.pathname;
 
-      // Apply all normalization patterns
+      // Apply all normalization patterns, remembering which ones changed something
+      const applied = new Set();
+      const apply = (value, pattern) => {
+        const result = value.replace(pattern.regex, pattern.replacement);
+        if (result !== value) applied.add(pattern.name);
+        return result;
+      };
+
       for (const pattern of this.patterns) {
-        pathname = pathname.replace(pattern.regex, pattern.replacement);
+        pathname = apply(pathname, pattern);
       }
 
       // Also normalize query string hashes
       let search = parsed.search;
       for (const pattern of this.patterns) {
-        search = search.replace(pattern.regex, pattern.replacement);
+        search = apply(search, pattern);
       }
 
       return {
@@ -61,7 +131,8 @@ export class FilenameNormalizer {
         identifier: this.createIdentifier(parsed.origin, pathname),
         host: parsed.host,
         pathname,
-        filename: pathname.split('/').pop()
+        filename: pathname.split('/').pop(),
+        rules: Array.from(applied)
       };
     } catch (e) {
       // Handle invalid URLs
@@ -71,7 +142,8 @@ export class FilenameNormalizer {
         identifier: url,
         host: 'unknown',
         pathname: url,
-        filename: url
+        filename: url,
+        rules: []
       };
     }
   }
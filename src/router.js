@@ -0,0 +1,73 @@
+/**
+ * Router - Minimal path router for the built-in HTTP servers
+ * Routes look like "/scripts/:id/diff"; params are passed to handlers
+ */
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  add(method, pattern, handler) {
+    const keys = [];
+    const source = pattern
+      .replace(/\/$/, '')
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+      });
+
+    this.routes.push({ method, regex: new RegExp(`^${source}/?$`), keys, handler });
+    return this;
+  }
+
+  get(pattern, handler) {
+    return this.add('GET', pattern, handler);
+  }
+
+  post(pattern, handler) {
+    return this.add('POST', pattern, handler);
+  }
+
+  /**
+   * Find the handler for a request
+   * Returns { handler, params } or null; throws 405 if the path exists for another method and 400 if a
+   * param is not valid percent-encoding
+   */
+  match(method, pathname) {
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      const match = route.regex.exec(pathname);
+      if (!match) continue;
+
+      pathMatched = true;
+      if (route.method !== method) continue;
+
+      const params = {};
+      route.keys.forEach((key, i) => {
+        try {
+          params[key] = decodeURIComponent(match[i + 1]);
+        } catch (e) {
+          throw new HttpError(400, 'Malformed URL');
+        }
+      });
+      return { handler: route.handler, params };
+    }
+
+    if (pathMatched) {
+      throw new HttpError(405, `Method ${method} not allowed`);
+    }
+    return null;
+  }
+}
+
+export default Router;
@@ -0,0 +1,139 @@
+/**
+ * Notification Rules - Decide which script changes are worth an alert
+ * Rules are checked in order against each new or updated script; the first match decides whether
+ * to notify, at what severity and on which channels. Scripts no rule matches are notified as "info".
+ *
+ * Rule: { name, match: { script, exclude, isNew, cosmetic, minAdded, minRemoved, addedPattern, newEndpoints, newHosts },
+ *         notify: true, severity: 'medium', channels: [channel name or type] }
+ */
+
+export const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+
+const MATCH_KEYS = ['script', 'exclude', 'isNew', 'cosmetic', 'minAdded', 'minRemoved', 'addedPattern', 'newEndpoints', 'newHosts'];
+
+export class NotificationRules {
+  constructor(rules = []) {
+    this.rules = NotificationRules.validate(rules).map((rule, index) => compile(rule, index));
+  }
+
+  /**
+   * Throw on malformed rules; returns the rules unchanged
+   */
+  static validate(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Rules must be an array');
+    }
+
+    rules.forEach((rule, index) => {
+      const where = `Rule ${rule && rule.name ? `"${rule.name}"` : index + 1}`;
+      if (!rule || typeof rule !== 'object') throw new Error(`${where} must be an object`);
+
+      const match = rule.match || {};
+      for (const key of Object.keys(match)) {
+        if (!MATCH_KEYS.includes(key)) {
+          throw new Error(`${where}: unknown match key "${key}" (use ${MATCH_KEYS.join(', ')})`);
+        }
+      }
+      for (const key of ['minAdded', 'minRemoved']) {
+        if (match[key] !== undefined && (typeof match[key] !== 'number' || match[key] < 0)) {
+          throw new Error(`${where}: "${key}" must be a non-negative number`);
+        }
+      }
+      if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+        throw new Error(`${where}: "severity" must be one of ${SEVERITIES.join(', ')}`);
+      }
+      if (rule.channels !== undefined && !Array.isArray(rule.channels)) {
+        throw new Error(`${where}: "channels" must be an array of channel names or types`);
+      }
+
+      try {
+        compile(rule, index);
+      } catch (e) {
+        throw new Error(`${where}: ${e.message}`);
+      }
+    });
+
+    return rules;
+  }
+
+  /**
+   * Decision for one changed script
+   * item: { url, baseName, isNew, cosmetic, additions, deletions, addedLines, endpointsAdded, newHosts }
+   * Returns { rule, notify, severity, channels } (rule and channels are null when no rule matched)
+   * With options.cosmeticRulesOnly only rules that set the cosmetic key are tried
+   */
+  decide(item, options = {}) {
+    for (const rule of this.rules) {
+      if (options.cosmeticRulesOnly && rule.cosmetic === undefined) continue;
+      if (matches(rule, item)) {
+        return { rule: rule.name, notify: rule.notify, severity: rule.severity, channels: rule.channels };
+      }
+    }
+
+    return { rule: null, notify: true, severity: 'info', channels: null };
+  }
+
+  /**
+   * Highest severity among decisions
+   */
+  static maxSeverity(decisions) {
+    return decisions.reduce((max, d) =>
+      SEVERITIES.indexOf(d.severity) > SEVERITIES.indexOf(max) ? d.severity : max, 'info');
+  }
+}
+
+function compile(rule, index) {
+  const match = rule.match || {};
+
+  return {
+    name: rule.name || `rule-${index + 1}`,
+    notify: rule.notify !== false,
+    severity: rule.severity || 'medium',
+    channels: rule.channels || null,
+    script: [].concat(match.script ?? []).map(globToRegex),
+    exclude: [].concat(match.exclude ?? []).map(globToRegex),
+    isNew: match.isNew,
+    cosmetic: match.cosmetic,
+    minAdded: match.minAdded,
+    minRemoved: match.minRemoved,
+    addedPattern: match.addedPattern !== undefined ? new RegExp(match.addedPattern, 'i') : null,
+    newEndpoints: typeof match.newEndpoints === 'string' ? new RegExp(match.newEndpoints, 'i') : match.newEndpoints,
+    newHosts: match.newHosts
+  };
+}
+
+/**
+ * Every condition a rule sets must hold
+ */
+function matches(rule, item) {
+  const names = [item.url, item.baseName];
+
+  if (rule.script.length > 0 && !rule.script.some(re => names.some(n => re.test(n)))) return false;
+  if (rule.exclude.some(re => names.some(n => re.test(n)))) return false;
+  if (rule.isNew !== undefined && rule.isNew !== item.isNew) return false;
+  if (rule.cosmetic !== undefined && rule.cosmetic !== item.cosmetic) return false;
+  if (rule.minAdded !== undefined && item.additions < rule.minAdded) return false;
+  if (rule.minRemoved !== undefined && item.deletions < rule.minRemoved) return false;
+  if (rule.addedPattern && !item.addedLines.some(line => rule.addedPattern.test(line))) return false;
+
+  if (rule.newEndpoints instanceof RegExp) {
+    if (!item.endpointsAdded.some(value => rule.newEndpoints.test(value))) return false;
+  } else if (rule.newEndpoints !== undefined && (item.endpointsAdded.length > 0) !== rule.newEndpoints) {
+    return false;
+  }
+
+  if (rule.newHosts !== undefined && (item.newHosts.length > 0) !== rule.newHosts) return false;
+
+  return true;
+}
+
+/**
+ * Case-insensitive glob: * matches anything (including /), ? one character
+ */
+function globToRegex(glob) {
+  if (typeof glob !== 'string') throw new Error('"script" and "exclude" must be glob strings');
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+export default NotificationRules;
@@ -0,0 +1,423 @@
+/**
+ * Scheduler - Scans many targets from a JSON config file, each on its own interval
+ * Scans share one Storage and a global concurrency limit; the config is reloaded when it changes
+ */
+
+import { EventEmitter } from 'events';
+import { readFileSync, watchFile, unwatchFile } from 'fs';
+import { dirname, resolve } from 'path';
+import { UCMon } from './index.js';
+import { Storage } from './storage.js';
+import { FilenameNormalizer } from './normalizer.js';
+import { ProxyPool } from './proxy.js';
+import { Notifications } from './notifiers.js';
+import { NotificationRules } from './rules.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const WATCH_INTERVAL = 2000;
+
+const TARGET_DEFAULTS = {
+  interval: 60,
+  mode: 'puppeteer',
+  timeout: 30000,
+  wait: 5000,
+  sourceMaps: true,
+  enumerateChunks: false,
+  crawl: false,
+  includeCosmetic: false,
+  renameThreshold: 0.8
+};
+
+/**
+ * Events:
+ *   scan   { target, url }                  a scan started
+ *   result { target, url, results, monitor } a scan finished
+ *   failed { target, url, error }            a scan threw
+ *   done   { target }                        all of a target's URLs were scanned and its next run scheduled
+ *   reload { added, removed, changed }       the config file was reloaded
+ *   error  error                             the config file could not be reloaded (the old one stays active)
+ */
+export class Scheduler extends EventEmitter {
+  constructor(configPath, options = {}) {
+    super();
+    this.configPath = resolve(configPath);
+    this.storage = options.storage || new Storage(options.dbPath);
+    this.concurrencyOverride = options.concurrency || null;
+    this.notify = options.notify !== false; // false disables notifications for every target
+
+    this.targets = new Map(); // name -> { spec, monitor, timer, lastRun, nextRun, lastError, running, queued }
+    this.queue = [];
+    this.active = 0;
+    this.idleWaiters = [];
+    this.stopped = true;
+  }
+
+  /**
+   * Load the config and start scheduling; every target is scanned right away
+   */
+  start() {
+    const config = this.loadConfig();
+    this.stopped = false;
+    this.applyConfig(config);
+
+    watchFile(this.configPath, { interval: WATCH_INTERVAL }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.reload();
+    });
+
+    return config;
+  }
+
+  /**
+   * Stop scheduling and wait for running scans to finish
+   */
+  async stop() {
+    this.stopped = true;
+    unwatchFile(this.configPath);
+
+    for (const entry of this.targets.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.queue = [];
+
+    if (this.active > 0) {
+      await new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+  }
+
+  /**
+   * Re-read the config file; a broken file keeps the current config running
+   */
+  reload() {
+    let config;
+    try {
+      config = this.loadConfig();
+    } catch (error) {
+      this.emit('error', error);
+      return;
+    }
+
+    this.emit('reload', this.applyConfig(config));
+  }
+
+  /**
+   * Read and validate the config file
+   */
+  loadConfig() {
+    let raw;
+    try {
+      raw = JSON.parse(readFileSync(this.configPath, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Invalid config file ${this.configPath}: ${e.message}`);
+    }
+
+    return parseConfig(raw, dirname(this.configPath));
+  }
+
+  /**
+   * Add, remove and update scheduled targets to match a config
+   */
+  applyConfig(config) {
+    this.concurrency = this.concurrencyOverride || config.concurrency;
+    const summary = { added: [], removed: [], changed: [] };
+    const now = Date.now();
+
+    for (const [name, entry] of this.targets) {
+      if (config.targets.some(t => t.name === name)) continue;
+      clearTimeout(entry.timer);
+      this.queue = this.queue.filter(queued => queued !== entry);
+      this.targets.delete(name);
+      summary.removed.push(name);
+    }
+
+    for (const spec of config.targets) {
+      const entry = this.targets.get(spec.name);
+
+      if (!entry) {
+        const added = { spec, monitor: this.createMonitor(spec), timer: null, lastRun: null, nextRun: null, lastError: null, running: false, queued: false };
+        this.targets.set(spec.name, added);
+        this.schedule(added, now);
+        summary.added.push(spec.name);
+        continue;
+      }
+
+      if (JSON.stringify(entry.spec) === JSON.stringify(spec)) continue;
+
+      // A running scan finishes with the old settings; the next one uses the new ones
+      entry.spec = spec;
+      entry.monitor = this.createMonitor(spec);
+      if (!entry.running && !entry.queued) {
+        this.schedule(entry, entry.lastRun ? entry.lastRun + spec.interval * 60 * 1000 : now);
+      }
+      summary.changed.push(spec.name);
+    }
+
+    this.drain();
+    return summary;
+  }
+
+  createMonitor(spec) {
+    return new UCMon({
+      storage: this.storage,
+      extractor: {
+        timeout: spec.timeout,
+        waitForNetwork: spec.wait,
+        mode: spec.mode,
+        chromePath: spec.chrome,
+        sourceMaps: spec.sourceMaps,
+        enumerateChunks: spec.enumerateChunks,
+        crawl: spec.crawl,
+        http: { concurrency: spec.fetchConcurrency, rateLimit: spec.rateLimit, retries: spec.retries },
+        proxy: spec.proxy
+      },
+      normalizer: spec.normalizer,
+      includeCosmetic: spec.includeCosmetic,
+      renameThreshold: spec.renameThreshold,
+      notify: this.notify && spec.notify !== false,
+      notifications: Array.isArray(spec.notify) ? spec.notify : null,
+      rules: spec.rules,
+      secretRules: spec.secretRules
+    });
+  }
+
+  schedule(entry, at) {
+    clearTimeout(entry.timer);
+    entry.nextRun = Math.max(at, Date.now());
+    entry.timer = setTimeout(() => this.enqueue(entry), entry.nextRun - Date.now());
+  }
+
+  enqueue(entry) {
+    if (this.stopped || entry.running || entry.queued) return;
+    entry.queued = true;
+    this.queue.push(entry);
+    this.drain();
+  }
+
+  /**
+   * Start queued targets while below the concurrency limit
+   */
+  drain() {
+    while (!this.stopped && this.active < this.concurrency && this.queue.length > 0) {
+      const entry = this.queue.shift();
+      entry.queued = false;
+      this.runTarget(entry);
+    }
+  }
+
+  /**
+   * Scan each of a target's URLs in turn, then schedule its next run
+   */
+  async runTarget(entry) {
+    this.active++;
+    entry.running = true;
+    entry.lastError = null;
+    const { spec, monitor } = entry;
+
+    for (const url of spec.urls) {
+      if (this.stopped) break;
+      this.emit('scan', { target: spec.name, url });
+
+      try {
+        const results = await monitor.scan(url, { auth: spec.auth });
+        this.emit('result', { target: spec.name, url, results, monitor });
+      } catch (error) {
+        entry.lastError = `${url}: ${error.message}`;
+        this.emit('failed', { target: spec.name, url, error });
+      }
+    }
+
+    entry.running = false;
+    entry.lastRun = Date.now();
+    this.active--;
+
+    // Skip rescheduling if the target was removed from the config meanwhile
+    if (!this.stopped && this.targets.get(spec.name) === entry) {
+      this.schedule(entry, entry.lastRun + entry.spec.interval * 60 * 1000);
+    }
+    this.emit('done', { target: spec.name });
+
+    if (this.active === 0) {
+      for (const resolveIdle of this.idleWaiters.splice(0)) resolveIdle();
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Current schedule, for status output
+   */
+  status() {
+    return Array.from(this.targets.values()).map(entry => ({
+      name: entry.spec.name,
+      urls: entry.spec.urls,
+      interval: entry.spec.interval,
+      mode: entry.spec.mode,
+      running: entry.running,
+      lastRun: entry.lastRun ? new Date(entry.lastRun).toISOString() : null,
+      nextRun: entry.running || entry.queued ? null : new Date(entry.nextRun).toISOString(),
+      lastError: entry.lastError
+    }));
+  }
+
+  close() {
+    this.storage.close();
+  }
+}
+
+/**
+ * Validate a config object and fill in defaults
+ * { concurrency, defaults: { ...target settings }, targets: [{ name, urls, interval, mode, timeout, wait,
+ *   chrome, sourceMaps, enumerateChunks, crawl, fetchConcurrency, rateLimit, retries, proxy, includeCosmetic,
+ *   renameThreshold, auth, normalizer, notify, rules, secretRules }] }
+ * proxy: a proxy URL, or a list the target's scans rotate through
+ * crawl: true, or { depth, maxPages, sitemap } to also scan same-origin pages linked from each URL
+ * notify: a list of notification channels, or false; when unset the target's saved channels are used
+ */
+function parseConfig(raw, baseDir) {
+  if (!raw || !Array.isArray(raw.targets)) {
+    throw new Error('Config needs a "targets" array');
+  }
+
+  const concurrency = raw.concurrency ?? DEFAULT_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('"concurrency" must be a positive integer');
+  }
+
+  const defaults = { ...TARGET_DEFAULTS, ...(raw.defaults || {}) };
+  const names = new Set();
+
+  const targets = raw.targets.map((target, index) => {
+    const where = `targets[${index}]`;
+    const spec = { ...defaults, ...target };
+
+    const urls = spec.urls || (spec.url ? [spec.url] : []);
+    if (!Array.isArray(urls) || urls.length === 0 || !urls.every(u => typeof u === 'string' && u)) {
+      throw new Error(`${where}: needs "url" or a non-empty "urls" array`);
+    }
+
+    const name = spec.name || hostOf(urls[0]);
+    if (names.has(name)) {
+      throw new Error(`${where}: duplicate target name "${name}" (set "name" to tell them apart)`);
+    }
+    names.add(name);
+
+    if (typeof spec.interval !== 'number' || spec.interval <= 0) {
+      throw new Error(`${where}: "interval" must be a positive number of minutes`);
+    }
+    if (spec.mode !== 'puppeteer' && spec.mode !== 'fetch') {
+      throw new Error(`${where}: "mode" must be "puppeteer" or "fetch"`);
+    }
+    for (const key of ['timeout', 'wait']) {
+      if (!Number.isInteger(spec[key]) || spec[key] < 0) {
+        throw new Error(`${where}: "${key}" must be a number of milliseconds`);
+      }
+    }
+    if (spec.renameThreshold !== false &&
+        !(typeof spec.renameThreshold === 'number' && spec.renameThreshold > 0 && spec.renameThreshold <= 1)) {
+      throw new Error(`${where}: "renameThreshold" must be a number above 0 and at most 1, or false`);
+    }
+    for (const [key, min] of [['fetchConcurrency', 1], ['rateLimit', 0], ['retries', 0]]) {
+      if (spec[key] !== undefined && !(typeof spec[key] === 'number' && spec[key] >= min)) {
+        throw new Error(`${where}: "${key}" must be a number of at least ${min}`);
+      }
+    }
+    if (spec.crawl && spec.crawl !== true) {
+      const { depth, maxPages, sitemap, ...unknown } = spec.crawl;
+      if (typeof spec.crawl !== 'object' || Object.keys(unknown).length > 0 ||
+          (depth !== undefined && !(Number.isInteger(depth) && depth >= 0)) ||
+          (maxPages !== undefined && !(Number.isInteger(maxPages) && maxPages >= 1)) ||
+          (sitemap !== undefined && typeof sitemap !== 'boolean')) {
+        throw new Error(`${where}: "crawl" must be true or { depth (0+), maxPages (1+), sitemap (true/false) }`);
+      }
+    }
+    let proxy;
+    try {
+      proxy = new ProxyPool(spec.proxy).proxies;
+    } catch (e) {
+      throw new Error(`${where}: ${e.message}`);
+    }
+    if (spec.notify !== undefined && spec.notify !== false && !Array.isArray(spec.notify)) {
+      throw new Error(`${where}: "notify" must be a list of channels or false`);
+    }
+    for (const channel of Array.isArray(spec.notify) ? spec.notify : []) {
+      try {
+        Notifications.validate(channel);
+      } catch (e) {
+        throw new Error(`${where}: ${e.message}`);
+      }
+    }
+
+    if (spec.normalizer) {
+      try {
+        FilenameNormalizer.validate(spec.normalizer);
+      } catch (e) {
+        throw new Error(`${where}: ${e.message}`);
+      }
+    }
+
+    if (spec.rules !== undefined) {
+      try {
+        NotificationRules.validate(spec.rules);
+      } catch (e) {
+        throw new Error(`${where}: ${e.message}`);
+      }
+    }
+
+    return {
+      name,
+      urls,
+      interval: spec.interval,
+      mode: spec.mode,
+      timeout: spec.timeout,
+      wait: spec.wait,
+      chrome: spec.chrome,
+      sourceMaps: spec.sourceMaps !== false,
+      enumerateChunks: Boolean(spec.enumerateChunks),
+      crawl: spec.crawl === true ? {} : spec.crawl || null,
+      fetchConcurrency: spec.fetchConcurrency,
+      rateLimit: spec.rateLimit,
+      retries: spec.retries,
+      proxy,
+      includeCosmetic: Boolean(spec.includeCosmetic),
+      renameThreshold: spec.renameThreshold,
+      auth: parseAuth(spec.auth, baseDir, where),
+      normalizer: spec.normalizer,
+      notify: spec.notify,
+      rules: spec.rules,
+      secretRules: spec.secretRules ? resolve(baseDir, spec.secretRules) : undefined
+    };
+  });
+
+  return { concurrency, targets };
+}
+
+/**
+ * Auth block in CLI form: cookies/headers as a string or array of strings, file paths relative to the config
+ */
+function parseAuth(auth, baseDir, where) {
+  if (!auth) return undefined;
+
+  const list = (value, key) => {
+    if (value === undefined) return [];
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value) && value.every(v => typeof v === 'string')) return value;
+    throw new Error(`${where}: "auth.${key}" must be a string or an array of strings`);
+  };
+
+  return {
+    cookies: list(auth.cookies, 'cookies'),
+    headers: list(auth.headers, 'headers'),
+    storageState: auth.storageState ? resolve(baseDir, auth.storageState) : undefined,
+    login: auth.login ? resolve(baseDir, auth.login) : undefined,
+    scope: auth.scope
+  };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url.includes('://') ? url : `https://${url}`).hostname;
+  } catch (e) {
+    return url;
+  }
+}
+
+export default Scheduler;
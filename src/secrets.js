@@ -0,0 +1,210 @@
+/**
+ * Secret Scanner - Detect leaked credentials in JavaScript
+ * Ships a default ruleset that can be extended or overridden via a JSON rules file
+ */
+
+import { existsSync, readFileSync } from 'fs';
+
+const DEFAULT_RULES = [
+  {
+    id: 'aws-access-key-id',
+    name: 'AWS Access Key ID',
+    pattern: '\\b((?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16})\\b',
+    severity: 'high'
+  },
+  {
+    id: 'aws-secret-access-key',
+    name: 'AWS Secret Access Key',
+    pattern: 'aws.{0,20}?(?:secret|private).{0,20}?["\'`]([A-Za-z0-9/+=]{40})["\'`]',
+    flags: 'i',
+    severity: 'high'
+  },
+  {
+    id: 'google-api-key',
+    name: 'Google API Key',
+    pattern: '\\b(AIza[0-9A-Za-z_\\-]{35})',
+    severity: 'medium'
+  },
+  {
+    id: 'stripe-secret-key',
+    name: 'Stripe Secret Key',
+    pattern: '\\b((?:sk|rk)_(?:live|test)_[0-9a-zA-Z]{24,99})\\b',
+    severity: 'high'
+  },
+  {
+    id: 'slack-token',
+    name: 'Slack Token',
+    pattern: '\\b(xox[abposr]-[0-9A-Za-z-]{10,72})',
+    severity: 'high'
+  },
+  {
+    id: 'slack-webhook',
+    name: 'Slack Webhook URL',
+    pattern: '(https://hooks\\.slack\\.com/services/T[A-Z0-9]+/B[A-Z0-9]+/[A-Za-z0-9]+)',
+    severity: 'high'
+  },
+  {
+    id: 'jwt',
+    name: 'JSON Web Token',
+    pattern: '\\b(eyJ[A-Za-z0-9_-]{10,}\\.eyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,})',
+    severity: 'medium'
+  },
+  {
+    id: 'private-key',
+    name: 'Private Key',
+    pattern: '(-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----)',
+    severity: 'high'
+  },
+  {
+    id: 'generic-secret',
+    name: 'Generic Secret',
+    pattern: '(?:secret|token|api[_-]?key|access[_-]?key|passw(?:or)?d|credential)[\\w-]*["\'`]?\\s*[:=]\\s*["\'`]([A-Za-z0-9_\\-/+=.]{16,})["\'`]',
+    flags: 'i',
+    minEntropy: 3.5,
+    severity: 'low'
+  }
+];
+
+export class SecretScanner {
+  constructor(options = {}) {
+    this.rules = this.compileRules(DEFAULT_RULES);
+
+    if (options.rulesFile) {
+      if (existsSync(options.rulesFile)) {
+        this.loadRulesFile(options.rulesFile);
+      } else if (options.requireRulesFile) {
+        throw new Error(`Secret rules file not found: ${options.rulesFile}`);
+      }
+    }
+  }
+
+  /**
+   * Load user rules from a JSON file
+   * Accepts either an array of rules or { rules: [...], disable: [ruleId, ...] }
+   * Rules with an existing id replace the built-in rule
+   */
+  loadRulesFile(path) {
+    let config;
+    try {
+      config = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Invalid secret rules file ${path}: ${e.message}`);
+    }
+
+    const rules = Array.isArray(config) ? config : (config.rules || []);
+    const disabled = new Set(Array.isArray(config) ? [] : (config.disable || []));
+
+    this.rules = this.rules.filter(r => !disabled.has(r.id));
+
+    for (const rule of this.compileRules(rules)) {
+      const index = this.rules.findIndex(r => r.id === rule.id);
+      if (index === -1) {
+        this.rules.push(rule);
+      } else {
+        this.rules[index] = rule;
+      }
+    }
+  }
+
+  /**
+   * Compile rule patterns into global regexes
+   */
+  compileRules(rules) {
+    return rules.map(rule => {
+      if (!rule.id || !rule.pattern) {
+        throw new Error('Secret rules require an "id" and a "pattern"');
+      }
+
+      const flags = new Set((rule.flags || '').split(''));
+      flags.add('g');
+
+      let regex;
+      try {
+        regex = new RegExp(rule.pattern, Array.from(flags).join(''));
+      } catch (e) {
+        throw new Error(`Invalid pattern for secret rule "${rule.id}": ${e.message}`);
+      }
+
+      return {
+        id: rule.id,
+        name: rule.name || rule.id,
+        severity: rule.severity || 'medium',
+        minEntropy: rule.minEntropy || 0,
+        regex
+      };
+    });
+  }
+
+  /**
+   * Scan content against all rules
+   * Returns a deduplicated list of findings
+   */
+  scan(content) {
+    const findings = new Map();
+
+    for (const rule of this.rules) {
+      rule.regex.lastIndex = 0;
+      let match;
+
+      while ((match = rule.regex.exec(content)) !== null) {
+        // Guard against zero-length matches from user patterns
+        if (match[0].length === 0) {
+          rule.regex.lastIndex++;
+          continue;
+        }
+
+        const secret = match[1] ?? match[0];
+        if (rule.minEntropy && this.entropy(secret) < rule.minEntropy) continue;
+
+        // A value already caught by an earlier (more specific) rule is reported once
+        if (findings.has(secret)) continue;
+
+        findings.set(secret, {
+          ruleId: rule.id,
+          rule: rule.name,
+          severity: rule.severity,
+          match: secret,
+          redacted: this.redact(secret),
+          line: content.slice(0, match.index).split('\n').length
+        });
+      }
+    }
+
+    return Array.from(findings.values());
+  }
+
+  /**
+   * Findings in the current version that were not in the previous one
+   */
+  compare(previous, current) {
+    const previousKeys = new Set(previous.map(f => `${f.ruleId}:${f.match}`));
+    return current.filter(f => !previousKeys.has(`${f.ruleId}:${f.match}`));
+  }
+
+  /**
+   * Shannon entropy in bits per character
+   */
+  entropy(str) {
+    const counts = new Map();
+    for (const char of str) {
+      counts.set(char, (counts.get(char) || 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+      const p = count / str.length;
+      entropy -= p * Math.log2(p);
+    }
+    return entropy;
+  }
+
+  /**
+   * Mask the middle of a secret for display in notifications
+   */
+  redact(secret) {
+    if (secret.length <= 12) return `${secret.slice(0, 2)}${'*'.repeat(Math.max(secret.length - 2, 0))}`;
+    return `${secret.slice(0, 6)}${'*'.repeat(8)}${secret.slice(-4)}`;
+  }
+}
+
+export default SecretScanner;
@@ -0,0 +1,250 @@
+/**
+ * Semantic Differ - Structural diff of two script versions
+ * Parses both versions and compares named units instead of lines: top-level functions and classes,
+ * keys of top-level object literals, and webpack modules (by module id). Each modified unit gets a
+ * short line diff of its prettified body.
+ */
+
+import * as acorn from 'acorn';
+import { diffLines } from 'diff';
+import prettier from 'prettier';
+import { findWebpackModules } from './modules.js';
+
+const FUNCTION_TYPES = ['FunctionExpression', 'ArrowFunctionExpression', 'FunctionDeclaration'];
+const CLASS_TYPES = ['ClassExpression', 'ClassDeclaration'];
+
+export class SemanticDiffer {
+  constructor(options = {}) {
+    this.maxChangeLines = options.maxChangeLines || 12; // Per modified unit
+    this.maxUnits = options.maxUnits || 200; // Modified units that get a body diff
+  }
+
+  /**
+   * Compare two versions; returns { parsed, added, removed, modified, stats }
+   * parsed is false (and everything empty) when either version cannot be parsed
+   */
+  async diff(oldContent, newContent) {
+    const before = this.extract(oldContent);
+    const after = this.extract(newContent);
+
+    const result = { parsed: Boolean(before && after), added: [], removed: [], modified: [], stats: null };
+    if (!result.parsed) {
+      result.stats = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+      return result;
+    }
+
+    let unchanged = 0;
+
+    for (const [key, unit] of after) {
+      const old = before.get(key);
+      if (!old) {
+        result.added.push({ kind: unit.kind, name: unit.name, lines: countLines(unit.source) });
+      } else if (normalize(old.source) !== normalize(unit.source)) {
+        result.modified.push({ kind: unit.kind, name: unit.name, old, unit });
+      } else {
+        unchanged++;
+      }
+    }
+
+    for (const [key, unit] of before) {
+      if (!after.has(key)) {
+        result.removed.push({ kind: unit.kind, name: unit.name, lines: countLines(unit.source) });
+      }
+    }
+
+    result.modified = await Promise.all(result.modified.map((entry, index) =>
+      this.describeChange(entry, index < this.maxUnits)));
+
+    result.stats = {
+      added: result.added.length,
+      removed: result.removed.length,
+      modified: result.modified.length,
+      unchanged
+    };
+
+    return result;
+  }
+
+  /**
+   * Line diff of one modified unit, trimmed to maxChangeLines
+   */
+  async describeChange({ kind, name, old, unit }, withBody) {
+    if (!withBody) return { kind, name, additions: null, deletions: null, changes: [] };
+
+    const parts = diffLines(await format(old.source), await format(unit.source));
+    const changes = [];
+    let additions = 0;
+    let deletions = 0;
+
+    for (const part of parts) {
+      if (!part.added && !part.removed) continue;
+      for (const line of part.value.split('\n').filter(l => l.trim().length > 0)) {
+        if (part.added) additions++; else deletions++;
+        if (changes.length < this.maxChangeLines) {
+          changes.push({ type: part.added ? 'add' : 'remove', content: line.slice(0, 200) });
+        }
+      }
+    }
+
+    return { kind, name, additions, deletions, changes };
+  }
+
+  /**
+   * Named units of a script: Map of "kind:name" -> { kind, name, source }; null if it does not parse
+   */
+  extract(content) {
+    const ast = parse(content);
+    if (!ast) return null;
+
+    const units = new Map();
+    const add = (kind, name, node) => {
+      let key = `${kind}:${name}`;
+      // Same name twice (e.g. redeclared helpers): number the later ones
+      for (let n = 2; units.has(key); n++) key = `${kind}:${name}#${n}`;
+      units.set(key, { kind, name: key.slice(kind.length + 1), source: content.slice(node.start, node.end) });
+    };
+
+    for (const statement of topLevel(ast.body)) {
+      this.collectStatement(statement, add);
+    }
+
+    this.collectWebpackModules(ast, add);
+
+    return units;
+  }
+
+  /**
+   * Functions, classes and object-literal keys declared by one top-level statement
+   */
+  collectStatement(node, add) {
+    if ((node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') && node.declaration) {
+      const declaration = node.declaration;
+      if (node.type === 'ExportDefaultDeclaration' && !declaration.id) {
+        this.collectValue('default', declaration, add);
+        return;
+      }
+      node = declaration;
+    }
+
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      add('function', node.id.name, node);
+    } else if (node.type === 'ClassDeclaration' && node.id) {
+      add('class', node.id.name, node);
+    } else if (node.type === 'VariableDeclaration') {
+      for (const declarator of node.declarations) {
+        if (declarator.id.type === 'Identifier' && declarator.init) {
+          this.collectValue(declarator.id.name, declarator.init, add);
+        }
+      }
+    } else if (node.type === 'ExpressionStatement') {
+      // a.b = function () {}, module.exports = { ... }; also sequences of them (a = ..., b = ...)
+      const expressions = node.expression.type === 'SequenceExpression' ? node.expression.expressions : [node.expression];
+      for (const expression of expressions) {
+        if (expression.type === 'AssignmentExpression' && expression.operator === '=') {
+          const name = memberName(expression.left);
+          if (name) this.collectValue(name, expression.right, add);
+        }
+      }
+    }
+  }
+
+  collectValue(name, value, add) {
+    if (FUNCTION_TYPES.includes(value.type)) {
+      add('function', name, value);
+    } else if (CLASS_TYPES.includes(value.type)) {
+      add('class', name, value);
+    } else if (value.type === 'ObjectExpression') {
+      for (const property of value.properties) {
+        const key = property.type === 'Property' ? propertyKey(property) : null;
+        if (key !== null) add('key', `${name}.${key}`, property.value);
+      }
+    }
+  }
+
+  /**
+   * Module factories registered with webpack, by module id
+   */
+  collectWebpackModules(ast, add) {
+    for (const { id, factory } of findWebpackModules(ast)) {
+      add('module', id, factory);
+    }
+  }
+}
+
+function parse(content) {
+  const options = {
+    ecmaVersion: 'latest',
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true
+  };
+
+  for (const sourceType of ['module', 'script']) {
+    try {
+      return acorn.parse(content, { ...options, sourceType });
+    } catch (e) {
+      // Try the next source type
+    }
+  }
+  return null;
+}
+
+/**
+ * Statements of the program, looking inside a bundle-wide IIFE wrapper: (function () { ... })() or !function () { ... }()
+ */
+function topLevel(body) {
+  if (body.length === 1 && body[0].type === 'ExpressionStatement') {
+    let expression = body[0].expression;
+    if (expression.type === 'UnaryExpression') expression = expression.argument;
+    if (expression.type === 'CallExpression' && FUNCTION_TYPES.includes(expression.callee.type) &&
+        expression.callee.body.type === 'BlockStatement') {
+      return topLevel(expression.callee.body.body);
+    }
+  }
+  return body;
+}
+
+function propertyKey(property) {
+  if (!property.computed && property.key.type === 'Identifier') return property.key.name;
+  if (property.key.type === 'Literal') return String(property.key.value);
+  return null;
+}
+
+/**
+ * "a.b.c" for identifier/member chains, null for anything else
+ */
+function memberName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+    const object = memberName(node.object);
+    return object ? `${object}.${node.property.name}` : null;
+  }
+  if (node.type === 'ThisExpression') return 'this';
+  return null;
+}
+
+function normalize(source) {
+  return source.replace(/\s+/g, ' ').trim();
+}
+
+function countLines(source) {
+  return source.split('\n').length;
+}
+
+/**
+ * Prettify a unit's source; expressions are wrapped in parentheses so they parse on their own
+ */
+async function format(source) {
+  for (const candidate of [source, `(${source})`]) {
+    try {
+      const formatted = await prettier.format(candidate, { parser: 'babel', printWidth: 100 });
+      return formatted.replace(/;\n$/, '\n'); // Expressions come back as statements
+    } catch (e) {
+      // Try the wrapped form, then give up
+    }
+  }
+  return source;
+}
+
+export default SemanticDiffer;
@@ -0,0 +1,115 @@
+/**
+ * Similarity Matcher - Recognize a renamed script by its content
+ * MinHash signatures over token shingles estimate the Jaccard similarity of two scripts. Short identifiers
+ * are folded together so minifier renames do not count as differences.
+ */
+
+const NUM_HASHES = 128;
+const SHINGLE_SIZE = 5;
+const MIN_TOKENS = 50; // Smaller scripts are too generic to match on content
+const MIN_SIZE_RATIO = 0.5; // Scripts this different in size cannot reach a useful threshold
+
+const TOKEN_PATTERN = /[A-Za-z_$][\w$]*|\d[\w.]*|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|[^\s\w]/g;
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix(Math.imul(i + 1, 0x9e3779b9)));
+
+export class SimilarityMatcher {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? 0.8;
+    this.signatures = new WeakMap(); // candidate -> signature
+  }
+
+  /**
+   * MinHash signature of a script, or null if it is too small to compare
+   */
+  signature(content) {
+    const tokens = (content.match(TOKEN_PATTERN) || [])
+      .map(token => /^[A-Za-z_$][\w$]?$/.test(token) ? '_' : token);
+    if (tokens.length < MIN_TOKENS) return null;
+
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+      shingles.add(hashString(tokens.slice(i, i + SHINGLE_SIZE).join(' ')));
+    }
+
+    const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+    for (const shingle of shingles) {
+      for (let i = 0; i < NUM_HASHES; i++) {
+        const value = mix(shingle ^ SEEDS[i]);
+        if (value < signature[i]) signature[i] = value;
+      }
+    }
+
+    return signature;
+  }
+
+  /**
+   * Estimated Jaccard similarity (0-1) of two signatures
+   */
+  compare(a, b) {
+    let equal = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / NUM_HASHES;
+  }
+
+  /**
+   * Best candidate at or above the threshold: { candidate, score } or null
+   * candidates: [{ size, content() }] - content is only read for candidates of a plausible size, and each
+   * candidate's signature is computed once
+   */
+  bestMatch(content, candidates) {
+    let signature;
+    let best = null;
+
+    for (const candidate of candidates) {
+      const ratio = Math.min(content.length, candidate.size) / Math.max(content.length, candidate.size);
+      if (!(ratio >= MIN_SIZE_RATIO)) continue;
+
+      if (signature === undefined) signature = this.signature(content);
+      if (!signature) return null;
+
+      if (!this.signatures.has(candidate)) {
+        const other = candidate.content();
+        this.signatures.set(candidate, other ? this.signature(other) : null);
+      }
+      const otherSignature = this.signatures.get(candidate);
+      if (!otherSignature) continue;
+
+      const score = this.compare(signature, otherSignature);
+      if (score >= this.threshold && (!best || score > best.score)) {
+        best = { candidate, score };
+      }
+    }
+
+    return best;
+  }
+}
+
+/**
+ * FNV-1a
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Murmur3 finalizer
+ */
+function mix(value) {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+export default SimilarityMatcher;
@@ -0,0 +1,194 @@
+/**
+ * Source Map Unpacker - Recover original source files from source maps
+ * Turns a map's sourcesContent into individual files with clean paths
+ */
+
+export class SourceMapUnpacker {
+  constructor(options = {}) {
+    this.includeNodeModules = options.includeNodeModules || false;
+  }
+
+  /**
+   * Find the source map URL for a script from its headers or trailing comment
+   */
+  findSourceMapUrl(script) {
+    const headers = script.headers || {};
+    const headerUrl = headers['sourcemap'] || headers['x-sourcemap'];
+
+    let mapUrl = headerUrl || null;
+    if (!mapUrl) {
+      // Only the last sourceMappingURL comment counts
+      const matches = [...script.content.matchAll(/\/[/*][#@]\s*sourceMappingURL=([^\s*'"]+)/g)];
+      if (matches.length > 0) {
+        mapUrl = matches[matches.length - 1][1];
+      }
+    }
+
+    if (!mapUrl) return null;
+    if (mapUrl.startsWith('data:')) return mapUrl;
+
+    try {
+      return new URL(mapUrl, script.url).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Decode an inline data: source map
+   */
+  decodeDataUrl(dataUrl) {
+    const commaIndex = dataUrl.indexOf(',');
+    if (commaIndex === -1) return null;
+
+    const meta = dataUrl.slice(5, commaIndex);
+    const data = dataUrl.slice(commaIndex + 1);
+
+    if (meta.endsWith(';base64')) {
+      return Buffer.from(data, 'base64').toString('utf-8');
+    }
+    return decodeURIComponent(data);
+  }
+
+  /**
+   * Unpack a raw source map into original files
+   * Returns a list of { path, content }
+   */
+  unpack(rawMap) {
+    let map;
+    try {
+      // Strip the XSSI guard some servers prepend
+      map = JSON.parse(rawMap.replace(/^\)\]\}'[^\n]*\n/, ''));
+    } catch (e) {
+      throw new Error(`Invalid source map: ${e.message}`);
+    }
+
+    const files = new Map();
+    this.collect(map, files);
+    return Array.from(files.values()).sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Decode a map's mappings down to which source each generated column comes from
+   * Returns { sources: [cleaned path or null], lines: [[[column, sourceIndex], ...] per generated line] },
+   * or null for index maps and maps that do not parse
+   */
+  decodeMappings(rawMap) {
+    let map;
+    try {
+      map = JSON.parse(rawMap.replace(/^\)\]\}'[^\n]*\n/, ''));
+    } catch (e) {
+      return null;
+    }
+    if (typeof map.mappings !== 'string' || !Array.isArray(map.sources)) return null;
+
+    const sources = map.sources.map(source => source == null ? null : this.cleanPath(source, map.sourceRoot));
+    const lines = [];
+    let sourceIndex = 0;
+
+    for (const line of map.mappings.split(';')) {
+      const segments = [];
+      let column = 0;
+      for (const segment of line.split(',')) {
+        if (!segment) continue;
+        const fields = decodeVlq(segment);
+        column += fields[0];
+        if (fields.length >= 4) {
+          sourceIndex += fields[1];
+          segments.push([column, sourceIndex]);
+        }
+      }
+      lines.push(segments);
+    }
+
+    return { sources, lines };
+  }
+
+  /**
+   * Collect sources from a map, recursing into index map sections
+   */
+  collect(map, files) {
+    if (Array.isArray(map.sections)) {
+      for (const section of map.sections) {
+        if (section.map) this.collect(section.map, files);
+      }
+      return;
+    }
+
+    const sources = map.sources || [];
+    const contents = map.sourcesContent || [];
+
+    sources.forEach((source, i) => {
+      const content = contents[i];
+      if (typeof content !== 'string' || source == null) return;
+
+      const path = this.cleanPath(source, map.sourceRoot);
+      if (!path) return;
+      if (!this.includeNodeModules && path.split('/').includes('node_modules')) return;
+
+      files.set(path, { path, content, size: content.length });
+    });
+  }
+
+  /**
+   * Turn bundler source names into repo-style relative paths
+   * e.g. webpack://app/./src/api/admin.ts -> src/api/admin.ts
+   */
+  cleanPath(source, sourceRoot = '') {
+    let path = source;
+
+    if (sourceRoot && !/^[a-z]+:/i.test(path)) {
+      path = `${sourceRoot.replace(/\/$/, '')}/${path}`;
+    }
+
+    path = path
+      .replace(/^webpack:\/\/\/?(?:[^/]*\/(?=\.))?/, '')
+      .replace(/^(?:webpack-internal|file|ng|vite):\/*/, '')
+      .replace(/^https?:\/\/[^/]+\//, '')
+      .replace(/[?#].*$/, '');
+
+    // Resolve ./ and ../ segments without escaping the root
+    const segments = [];
+    for (const segment of path.split('/')) {
+      if (segment === '' || segment === '.') continue;
+      if (segment === '..') {
+        segments.pop();
+      } else {
+        segments.push(segment);
+      }
+    }
+
+    const cleaned = segments.join('/');
+
+    // Skip bundler runtime pseudo-files
+    if (!cleaned || cleaned.startsWith('webpack/') || cleaned.startsWith('(webpack)')) return null;
+    return cleaned;
+  }
+}
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Base64 VLQ segment -> list of signed integers
+ */
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64.indexOf(char);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+export default SourceMapUnpacker;
@@ -0,0 +1,382 @@
+/**
+ * SQLite Database - Record backend for Storage backed by an indexed SQLite file (uc-mon.db)
+ * Records are stored as JSON documents next to the columns used for lookups
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS targets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    domain TEXT NOT NULL UNIQUE,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS scans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_id INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS scans_target ON scans (target_id);
+
+  CREATE TABLE IF NOT EXISTS scripts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_id INTEGER NOT NULL,
+    identifier TEXT NOT NULL,
+    parent_id INTEGER,
+    data TEXT NOT NULL,
+    UNIQUE (target_id, identifier)
+  );
+  CREATE INDEX IF NOT EXISTS scripts_parent ON scripts (parent_id);
+
+  CREATE TABLE IF NOT EXISTS versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    script_id INTEGER NOT NULL,
+    scan_id INTEGER,
+    content_hash TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS versions_script ON versions (script_id, content_hash);
+  CREATE INDEX IF NOT EXISTS versions_scan ON versions (scan_id);
+
+  CREATE TABLE IF NOT EXISTS blobs (
+    hash TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+export class SqliteDatabase {
+  constructor(path) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (e) {
+      throw new Error(`SQLite storage needs the better-sqlite3 package (npm install better-sqlite3): ${e.message}`);
+    }
+
+    this.path = path;
+    this.db = new Database(path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(SCHEMA);
+    this.statements = new Map();
+  }
+
+  /**
+   * Prepared statements are cached by SQL text
+   */
+  stmt(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  one(sql, ...params) {
+    const row = this.stmt(sql).get(...params);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  all(sql, ...params) {
+    return this.stmt(sql).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Insert a record, keeping its id if it has one (imports) and storing the assigned id in the document
+   */
+  insert(table, columns, record) {
+    const names = Object.keys(columns);
+    const placeholders = names.map(() => '?').join(', ');
+    const values = Object.values(columns);
+
+    if (record.id) {
+      this.stmt(`INSERT INTO ${table} (id, ${names.join(', ')}, data) VALUES (?, ${placeholders}, ?)`)
+        .run(record.id, ...values, JSON.stringify(record));
+      return record;
+    }
+
+    const { lastInsertRowid } = this.stmt(`INSERT INTO ${table} (${names.join(', ')}, data) VALUES (${placeholders}, '{}')`)
+      .run(...values);
+    const saved = { id: Number(lastInsertRowid), ...record };
+    this.stmt(`UPDATE ${table} SET data = ? WHERE id = ?`).run(JSON.stringify(saved), saved.id);
+    return saved;
+  }
+
+  update(table, columns, record) {
+    const names = Object.keys(columns);
+    const assignments = names.map(name => `${name} = ?`).join(', ');
+    this.stmt(`UPDATE ${table} SET ${assignments}${names.length ? ', ' : ''}data = ? WHERE id = ?`)
+      .run(...Object.values(columns), JSON.stringify(record), record.id);
+  }
+
+  deleteIds(table, column, ids) {
+    const remove = this.stmt(`DELETE FROM ${table} WHERE ${column} = ?`);
+    for (const id of ids) remove.run(id);
+  }
+
+  refresh() {
+    // Reads always see the latest committed state
+  }
+
+  begin() {
+    this.db.exec('BEGIN IMMEDIATE');
+  }
+
+  commit() {
+    this.db.exec('COMMIT');
+  }
+
+  rollback() {
+    this.db.exec('ROLLBACK');
+  }
+
+  // Targets
+
+  getTarget(domain) {
+    return this.one('SELECT data FROM targets WHERE domain = ?', domain);
+  }
+
+  getTargetById(id) {
+    return this.one('SELECT data FROM targets WHERE id = ?', id);
+  }
+
+  listTargets() {
+    return this.all('SELECT data FROM targets ORDER BY id');
+  }
+
+  insertTarget(fields) {
+    return this.insert('targets', { domain: fields.domain }, fields);
+  }
+
+  updateTarget(target) {
+    this.update('targets', { domain: target.domain }, target);
+  }
+
+  deleteTarget(id) {
+    this.deleteIds('targets', 'id', [id]);
+  }
+
+  // Scans
+
+  insertScan(fields) {
+    return this.insert('scans', { target_id: fields.targetId }, fields);
+  }
+
+  getScan(id) {
+    return this.one('SELECT data FROM scans WHERE id = ?', id);
+  }
+
+  listScans(targetId) {
+    return this.all('SELECT data FROM scans WHERE target_id = ? ORDER BY id', targetId);
+  }
+
+  countScans(targetId) {
+    return this.stmt('SELECT COUNT(*) AS count FROM scans WHERE target_id = ?').get(targetId).count;
+  }
+
+  deleteScans(ids) {
+    this.deleteIds('scans', 'id', ids);
+  }
+
+  // Scripts
+
+  getScriptByIdentifier(targetId, identifier) {
+    return this.one('SELECT data FROM scripts WHERE target_id = ? AND identifier = ?', targetId, identifier);
+  }
+
+  getScript(id) {
+    return this.one('SELECT data FROM scripts WHERE id = ?', id);
+  }
+
+  /**
+   * Scripts matching { targetId, parentId }; parentId null means top-level scripts only
+   */
+  listScripts(filter = {}) {
+    const { where, params } = this.scriptFilter(filter);
+    return this.all(`SELECT data FROM scripts ${where} ORDER BY id`, ...params);
+  }
+
+  countScripts(filter = {}) {
+    const { where, params } = this.scriptFilter(filter);
+    return this.stmt(`SELECT COUNT(*) AS count FROM scripts ${where}`).get(...params).count;
+  }
+
+  scriptFilter(filter) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.targetId !== undefined) {
+      conditions.push('target_id = ?');
+      params.push(filter.targetId);
+    }
+    if (filter.parentId === null) {
+      conditions.push('parent_id IS NULL');
+    } else if (filter.parentId !== undefined) {
+      conditions.push('parent_id = ?');
+      params.push(filter.parentId);
+    }
+
+    return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  insertScript(fields) {
+    return this.insert('scripts', {
+      target_id: fields.targetId,
+      identifier: fields.identifier,
+      parent_id: fields.parentId || null
+    }, fields);
+  }
+
+  updateScript(script) {
+    this.update('scripts', {
+      target_id: script.targetId,
+      identifier: script.identifier,
+      parent_id: script.parentId || null
+    }, script);
+  }
+
+  deleteScript(id) {
+    this.deleteIds('versions', 'script_id', [id]);
+    this.deleteIds('scripts', 'id', [id]);
+  }
+
+  // Versions
+
+  insertVersion(fields) {
+    return this.insert('versions', {
+      script_id: fields.scriptId,
+      scan_id: fields.scanId ?? null,
+      content_hash: fields.contentHash
+    }, fields);
+  }
+
+  getVersion(id) {
+    return this.one('SELECT data FROM versions WHERE id = ?', id);
+  }
+
+  updateVersion(version) {
+    this.update('versions', { script_id: version.scriptId, content_hash: version.contentHash }, version);
+  }
+
+  listVersions(scriptId) {
+    return this.all('SELECT data FROM versions WHERE script_id = ? ORDER BY id', scriptId);
+  }
+
+  listAllVersions() {
+    return this.all('SELECT data FROM versions ORDER BY id');
+  }
+
+  listScanVersions(scanId) {
+    return this.all('SELECT data FROM versions WHERE scan_id = ? ORDER BY id', scanId);
+  }
+
+  findVersionByHash(scriptId, contentHash) {
+    return this.one('SELECT data FROM versions WHERE script_id = ? AND content_hash = ?', scriptId, contentHash);
+  }
+
+  deleteVersions(ids) {
+    this.deleteIds('versions', 'id', ids);
+  }
+
+  // Blobs
+
+  getBlob(hash) {
+    return this.one('SELECT data FROM blobs WHERE hash = ?', hash);
+  }
+
+  putBlob(hash, entry) {
+    this.stmt('INSERT INTO blobs (hash, data) VALUES (?, ?) ON CONFLICT (hash) DO UPDATE SET data = excluded.data')
+      .run(hash, JSON.stringify(entry));
+  }
+
+  deleteBlob(hash) {
+    this.deleteIds('blobs', 'hash', [hash]);
+  }
+
+  listBlobs() {
+    return this.stmt('SELECT hash, data FROM blobs').all()
+      .map(row => ({ hash: row.hash, ...JSON.parse(row.data) }));
+  }
+
+  // Settings
+
+  getSetting(key) {
+    const row = this.stmt('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setSetting(key, value) {
+    if (value === null || value === undefined) {
+      this.stmt('DELETE FROM settings WHERE key = ?').run(key);
+    } else {
+      this.stmt('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+        .run(key, JSON.stringify(value));
+    }
+  }
+
+  listSettings() {
+    const settings = {};
+    for (const row of this.stmt('SELECT key, value FROM settings').all()) {
+      settings[row.key] = JSON.parse(row.value);
+    }
+    return settings;
+  }
+
+  /**
+   * Copy every record from another backend, keeping ids; runs in one transaction
+   */
+  importFrom(source) {
+    const run = this.db.transaction(() => {
+      for (const target of source.listTargets()) {
+        this.insertTarget(target);
+        for (const scan of source.listScans(target.id)) this.insertScan(scan);
+      }
+      for (const script of source.listScripts()) {
+        this.insertScript(script);
+      }
+      for (const version of source.listAllVersions()) {
+        this.insertVersion(version);
+      }
+      for (const { hash, ...entry } of source.listBlobs()) {
+        this.putBlob(hash, entry);
+      }
+      for (const [key, value] of Object.entries(source.listSettings())) {
+        this.setSetting(key, value);
+      }
+
+      // Never hand out ids of records that were deleted before the import
+      const nextIds = source.getNextIds();
+      const tables = { target: 'targets', scan: 'scans', script: 'scripts', version: 'versions' };
+      for (const [kind, table] of Object.entries(tables)) {
+        const seq = (nextIds[kind] || 1) - 1;
+        this.stmt('DELETE FROM sqlite_sequence WHERE name = ?').run(table);
+        this.stmt('INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)').run(table, seq);
+      }
+    });
+
+    run();
+  }
+
+  getNextIds() {
+    const ids = {};
+    const tables = { target: 'targets', scan: 'scans', script: 'scripts', version: 'versions' };
+    for (const [kind, table] of Object.entries(tables)) {
+      const row = this.stmt('SELECT seq FROM sqlite_sequence WHERE name = ?').get(table);
+      ids[kind] = (row ? row.seq : 0) + 1;
+    }
+    return ids;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+export default SqliteDatabase;
@@ -1,228 +1,469 @@
 /**
- * Storage System - JSON file-based versioning for JS files
+ * Storage System - Versioning for JS files over a record backend
+ * Records live in uc-mon.json (JsonDatabase) or uc-mon.db (SqliteDatabase, used when present);
+ * version content is kept in a content-addressed BlobStore and shared between scripts
  */
 
 import { createHash } from 'crypto';
-import { mkdirSync, existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
-import { join, dirname } from 'path';
+import { mkdirSync, existsSync, readFileSync, unlinkSync, statSync, renameSync } from 'fs';
+import { join, dirname, basename } from 'path';
 import { fileURLToPath } from 'url';
+import { BlobStore } from './blobs.js';
+import { JsonDatabase } from './jsondb.js';
+import { SqliteDatabase } from './sqlitedb.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
+const MAX_SCRIPT_PAGES = 50;
 
 export class Storage {
-  constructor(dataDir = null) {
+  constructor(dataDir = null, options = {}) {
     this.dataDir = dataDir || join(__dirname, '..', 'data');
     if (!existsSync(this.dataDir)) {
       mkdirSync(this.dataDir, { recursive: true });
     }
-    
-    this.dbPath = join(this.dataDir, 'uc-mon.json');
-    this.scriptsDir = join(this.dataDir, 'scripts');
-    
-    if (!existsSync(this.scriptsDir)) {
-      mkdirSync(this.scriptsDir, { recursive: true });
-    }
-    
-    this.db = this.loadDb();
+
+    this.jsonPath = join(this.dataDir, 'uc-mon.json');
+    this.sqlitePath = join(this.dataDir, 'uc-mon.db');
+    this.blobs = new BlobStore(join(this.dataDir, 'blobs'));
+
+    this.backendName = options.backend || (existsSync(this.sqlitePath) ? 'sqlite' : 'json');
+    this.records = this.backendName === 'sqlite'
+      ? new SqliteDatabase(this.sqlitePath)
+      : new JsonDatabase(this.jsonPath);
+
+    this.transactionDepth = 0;
+    this.pendingDeletes = [];
+    this.createdBlobs = []; // Blobs written by the current transaction, deleted if it rolls back
+    this.lock = Promise.resolve();
   }
 
-  loadDb() {
-    if (existsSync(this.dbPath)) {
-      try {
-        return JSON.parse(readFileSync(this.dbPath, 'utf-8'));
-      } catch (e) {
-        console.error('Error loading database, starting fresh:', e.message);
+  /**
+   * Run fn (sync or async) after every earlier exclusive call has finished
+   * Keeps concurrent scans in one process from writing inside each other's transactions
+   */
+  exclusive(fn) {
+    const run = this.lock.then(() => fn());
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run fn in a transaction (sync or async); nothing is written if it throws
+   * Blob and file deletions are deferred until the outermost transaction commits; blobs it wrote are deleted
+   * if it rolls back
+   */
+  transaction(fn) {
+    if (this.transactionDepth === 0) this.records.begin();
+    this.transactionDepth++;
+
+    const finish = (error) => {
+      this.transactionDepth--;
+      if (this.transactionDepth > 0) {
+        if (error) throw error;
+        return;
       }
-    }
-    
-    return {
-      targets: {},
-      scans: [],
-      scripts: {},
-      scriptVersions: {},
-      nextId: { target: 1, scan: 1, script: 1, version: 1 }
+
+      const created = this.createdBlobs;
+      this.createdBlobs = [];
+
+      if (error) {
+        this.records.rollback();
+        this.pendingDeletes = [];
+        for (const hash of created) this.blobs.delete(hash);
+        throw error;
+      }
+
+      this.records.commit();
+      const deletes = this.pendingDeletes;
+      this.pendingDeletes = [];
+      for (const remove of deletes) remove();
     };
+
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      finish(error);
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        (value) => { finish(); return value; },
+        (error) => finish(error)
+      );
+    }
+
+    finish();
+    return result;
   }
 
-  saveDb() {
-    writeFileSync(this.dbPath, JSON.stringify(this.db, null, 2));
+  /**
+   * Run a file deletion now, or after the current transaction commits
+   */
+  deferDelete(remove) {
+    if (this.transactionDepth > 0) {
+      this.pendingDeletes.push(remove);
+    } else {
+      remove();
+    }
+  }
+
+  /**
+   * Pick up changes written by other processes (long-running servers read scans made by the CLI)
+   */
+  refresh() {
+    if (this.transactionDepth === 0) this.records.refresh();
   }
 
   /**
    * Get or create a target by domain
    */
   getOrCreateTarget(domain) {
-    if (!this.db.targets[domain]) {
-      this.db.targets[domain] = {
-        id: this.db.nextId.target++,
-        domain,
-        createdAt: new Date().toISOString(),
-        lastScan: null
-      };
-      this.saveDb();
+    return this.records.getTarget(domain) || this.records.insertTarget({
+      domain,
+      createdAt: new Date().toISOString(),
+      lastScan: null
+    });
+  }
+
+  /**
+   * Get a target by domain without creating it
+   */
+  getTarget(domain) {
+    return this.records.getTarget(domain);
+  }
+
+  /**
+   * Save (or clear with null) the credentials used to scan a target
+   */
+  setTargetAuth(domain, auth) {
+    const target = this.getOrCreateTarget(domain);
+    if (auth) {
+      target.auth = auth;
+    } else {
+      delete target.auth;
     }
-    return this.db.targets[domain];
+    this.records.updateTarget(target);
+    return target;
   }
 
   /**
-   * Create a new scan record
+   * Group a target under a named program (or ungroup it with null)
    */
-  createScan(targetId, url, scriptCount, totalSize) {
-    const scanId = this.db.nextId.scan++;
-    const scan = {
-      id: scanId,
-      targetId,
-      url,
-      timestamp: new Date().toISOString(),
-      scriptCount,
-      totalSize
-    };
-    
-    this.db.scans.push(scan);
-    
-    // Update target's lastScan
-    for (const domain in this.db.targets) {
-      if (this.db.targets[domain].id === targetId) {
-        this.db.targets[domain].lastScan = scan.timestamp;
-        break;
-      }
+  setTargetProgram(domain, program) {
+    const target = this.getOrCreateTarget(domain);
+    if (program) {
+      target.program = program;
+    } else {
+      delete target.program;
     }
-    
-    this.saveDb();
-    return scanId;
+    this.records.updateTarget(target);
+    return target;
   }
 
   /**
-   * Store a script and its version
+   * Get a target by id
    */
-  storeScript(targetId, scanId, scriptData, normalizedInfo) {
-    const contentHash = this.hashContent(scriptData.content);
-    const scriptKey = `${targetId}:${normalizedInfo.identifier}`;
+  getTargetById(targetId) {
+    return this.records.getTargetById(targetId);
+  }
 
-    // Get or create script record
-    let script = this.db.scripts[scriptKey];
-    let isNewScript = false;
+  /**
+   * Remember hosts a target's scripts and endpoints have used, so rules can spot new ones
+   */
+  addKnownHosts(domain, hosts) {
+    const target = this.getOrCreateTarget(domain);
+    const known = new Set(target.knownHosts || []);
+    const before = known.size;
+    hosts.forEach(host => known.add(host));
+    if (known.size === before) return;
 
-    if (!script) {
-      script = {
-        id: this.db.nextId.script++,
-        targetId,
-        url: scriptData.url,
-        normalizedUrl: normalizedInfo.normalized,
-        identifier: normalizedInfo.identifier,
-        baseName: normalizedInfo.filename,
-        firstSeen: new Date().toISOString(),
-        lastSeen: new Date().toISOString()
-      };
-      this.db.scripts[scriptKey] = script;
-      isNewScript = true;
+    target.knownHosts = Array.from(known).sort();
+    this.records.updateTarget(target);
+  }
+
+  /**
+   * Save (or clear with null) notification rules, globally (no domain) or for one target
+   */
+  setNotificationRules(domain, rules) {
+    if (!domain) {
+      this.records.setSetting('rules', rules || null);
+      return rules || null;
+    }
+
+    const target = this.getTarget(domain);
+    if (!target) return null;
+
+    if (rules) {
+      target.rules = rules;
+    } else {
+      delete target.rules;
+    }
+    this.records.updateTarget(target);
+    return target.rules || null;
+  }
+
+  /**
+   * Saved notification rules: { target, global }
+   */
+  getNotificationRules(domain = null) {
+    const target = domain ? this.getTarget(domain) : null;
+    return {
+      target: target?.rules || [],
+      global: this.records.getSetting('rules') || []
+    };
+  }
+
+  /**
+   * Save (or clear with null) the notification channels of a target
+   */
+  setTargetNotifications(domain, channels) {
+    const target = this.getOrCreateTarget(domain);
+    if (channels) {
+      target.notifications = channels;
     } else {
-      script.lastSeen = new Date().toISOString();
+      delete target.notifications;
     }
+    this.records.updateTarget(target);
+    return target;
+  }
 
-    // Check if this content version already exists
-    const versionKey = `${script.id}`;
-    if (!this.db.scriptVersions[versionKey]) {
-      this.db.scriptVersions[versionKey] = [];
+  /**
+   * Save (or clear with null) a target's filename normalizer rules ({ disable, replace, patterns })
+   */
+  setTargetNormalizer(domain, rules) {
+    const target = this.getOrCreateTarget(domain);
+    if (rules) {
+      target.normalizer = rules;
+    } else {
+      delete target.normalizer;
     }
+    this.records.updateTarget(target);
+    return target;
+  }
+
+  /**
+   * Create a new scan record
+   */
+  createScan(targetId, url, scriptCount, totalSize, details = {}) {
+    return this.transaction(() => {
+      const scan = this.records.insertScan({
+        targetId,
+        url,
+        timestamp: new Date().toISOString(),
+        scriptCount,
+        totalSize,
+        ...details
+      });
 
-    const existingVersion = this.db.scriptVersions[versionKey].find(v => v.contentHash === contentHash);
-    let versionId;
-    let isNewVersion = false;
+      // Update target's lastScan
+      const target = this.records.getTargetById(targetId);
+      if (target) {
+        target.lastScan = scan.timestamp;
+        this.records.updateTarget(target);
+      }
 
-    if (!existingVersion) {
-      versionId = this.db.nextId.version++;
-      
-      // Store content in a separate file to keep JSON small
-      const contentFile = join(this.scriptsDir, `${versionId}.js`);
-      writeFileSync(contentFile, scriptData.content);
-      
-      const version = {
-        id: versionId,
+      return scan.id;
+    });
+  }
+
+  /**
+   * Store a script and its version
+   * Extra fields are copied onto the script record when it is first created
+   * Pages the script was seen on (scriptData.pages) are kept on the record, most recent first
+   */
+  storeScript(targetId, scanId, scriptData, normalizedInfo, extra = {}) {
+    const contentHash = this.hashContent(scriptData.content);
+
+    return this.transaction(() => {
+      // Get or create script record
+      let script = this.records.getScriptByIdentifier(targetId, normalizedInfo.identifier);
+      let isNewScript = false;
+      const pages = scriptData.pages?.length
+        ? [...new Set([...scriptData.pages, ...(script?.pages || [])])].slice(0, MAX_SCRIPT_PAGES)
+        : null;
+
+      if (!script) {
+        script = this.records.insertScript({
+          targetId,
+          url: scriptData.url,
+          normalizedUrl: normalizedInfo.normalized,
+          identifier: normalizedInfo.identifier,
+          baseName: normalizedInfo.filename,
+          firstSeen: new Date().toISOString(),
+          lastSeen: new Date().toISOString(),
+          ...(pages ? { pages } : {}),
+          ...extra
+        });
+        isNewScript = true;
+      } else {
+        script.lastSeen = new Date().toISOString();
+        if (pages) script.pages = pages;
+        this.records.updateScript(script);
+      }
+
+      // Check if this content version already exists
+      const existingVersion = this.records.findVersionByHash(script.id, contentHash);
+      let versionId;
+      let isNewVersion = false;
+
+      if (!existingVersion) {
+        // Content goes to the blob store to keep records small; identical content is stored once
+        this.retainBlob(contentHash, scriptData.content);
+
+        const version = this.records.insertVersion({
+          scriptId: script.id,
+          scanId,
+          contentHash,
+          size: scriptData.size,
+          url: scriptData.url,
+          loadMethod: scriptData.loadMethod || null,
+          timestamp: new Date().toISOString()
+        });
+
+        versionId = version.id;
+        isNewVersion = true;
+      } else {
+        versionId = existingVersion.id;
+      }
+
+      return {
         scriptId: script.id,
-        scanId,
-        contentHash,
-        contentFile,
-        size: scriptData.size,
-        url: scriptData.url,
-        timestamp: new Date().toISOString()
+        versionId,
+        isNewScript,
+        isNewVersion,
+        contentHash
       };
-      
-      this.db.scriptVersions[versionKey].push(version);
-      isNewVersion = true;
-    } else {
-      versionId = existingVersion.id;
-    }
+    });
+  }
 
-    this.saveDb();
+  /**
+   * Get a script record by its normalized identifier
+   */
+  findScript(targetId, identifier) {
+    return this.records.getScriptByIdentifier(targetId, identifier);
+  }
 
-    return {
-      scriptId: script.id,
-      versionId,
-      isNewScript,
-      isNewVersion,
-      contentHash
+  /**
+   * Move a script to a new URL, e.g. when a build renamed it beyond what the normalizer recognizes
+   * The rename is recorded on the script (renames: [{ from, to, score, scanId, timestamp }]) for review
+   */
+  renameScript(scriptId, url, normalizedInfo, details = {}) {
+    return this.transaction(() => {
+      const script = this.records.getScript(scriptId);
+      if (!script) throw new Error(`Script ${scriptId} not found`);
+
+      const rename = { from: script.url, to: url, ...details, timestamp: new Date().toISOString() };
+      script.url = url;
+      script.normalizedUrl = normalizedInfo.normalized;
+      script.identifier = normalizedInfo.identifier;
+      script.baseName = normalizedInfo.filename;
+      script.renames = [...(script.renames || []), rename];
+      this.records.updateScript(script);
+
+      return rename;
+    });
+  }
+
+  /**
+   * Renames recorded for a target's scripts, newest first
+   */
+  getRenames(targetId) {
+    return this.records.listScripts({ targetId, parentId: null })
+      .flatMap(script => (script.renames || []).map(rename => ({ scriptId: script.id, ...rename })))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  /**
+   * Store an artifact derived from a script (e.g. an original source file from its source map)
+   * Child artifacts are versioned like scripts and keyed by parent script, kind and path
+   */
+  storeChildArtifact(targetId, scanId, parentScriptId, kind, artifact) {
+    const normalizedInfo = {
+      identifier: `${kind}:${parentScriptId}:${artifact.path}`,
+      normalized: artifact.path,
+      filename: artifact.path
     };
+
+    return this.storeScript(
+      targetId,
+      scanId,
+      { url: artifact.url, content: artifact.content, size: artifact.size },
+      normalizedInfo,
+      { parentId: parentScriptId, kind, path: artifact.path }
+    );
+  }
+
+  /**
+   * Get child artifacts of a script, optionally of one kind
+   */
+  getChildScripts(parentScriptId, kind = null) {
+    return this.records.listScripts({ parentId: parentScriptId })
+      .filter(s => !kind || s.kind === kind)
+      .map(s => ({
+        ...s,
+        version_count: this.records.listVersions(s.id).length
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Find a child artifact by exact path, falling back to a unique path suffix match
+   */
+  findChildScript(parentScriptId, kind, path) {
+    const children = this.getChildScripts(parentScriptId, kind);
+    const exact = children.find(c => c.path === path);
+    if (exact) return exact;
+
+    const matches = children.filter(c => c.path.endsWith(`/${path}`));
+    return matches.length === 1 ? matches[0] : null;
   }
 
   /**
    * Get the previous version of a script
    */
   getPreviousVersion(scriptId, currentVersionId) {
-    const versions = this.db.scriptVersions[`${scriptId}`] || [];
-    const sortedVersions = [...versions].sort((a, b) => b.id - a.id);
-    
+    const sortedVersions = [...this.records.listVersions(scriptId)].sort((a, b) => b.id - a.id);
+
     const currentIndex = sortedVersions.findIndex(v => v.id === currentVersionId);
     if (currentIndex === -1 || currentIndex === sortedVersions.length - 1) {
       return null;
     }
-    
+
     const prevVersion = sortedVersions[currentIndex + 1];
-    if (prevVersion && prevVersion.contentFile && existsSync(prevVersion.contentFile)) {
-      return {
-        ...prevVersion,
-        content: readFileSync(prevVersion.contentFile, 'utf-8')
-      };
-    }
-    
-    return null;
+    const content = this.readContent(prevVersion);
+    return content !== null ? { ...prevVersion, content } : null;
   }
 
   /**
    * Get all versions of a script
    */
   getScriptVersions(scriptId) {
-    const versions = this.db.scriptVersions[`${scriptId}`] || [];
-    return [...versions].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return [...this.records.listVersions(scriptId)].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   }
 
   /**
    * Get all scripts for a target
+   * Child artifacts (source files etc.) are only included when requested
    */
-  getTargetScripts(targetId) {
-    const scripts = [];
-    for (const key in this.db.scripts) {
-      const script = this.db.scripts[key];
-      if (script.targetId === targetId) {
-        const versions = this.db.scriptVersions[`${script.id}`] || [];
-        scripts.push({
-          ...script,
-          version_count: versions.length,
-          latest_version: versions.length > 0 
-            ? [...versions].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0].timestamp 
-            : null
-        });
-      }
-    }
-    return scripts.sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+  getTargetScripts(targetId, options = {}) {
+    const filter = options.includeChildren ? { targetId } : { targetId, parentId: null };
+
+    return this.records.listScripts(filter).map(script => {
+      const versions = this.getScriptVersions(script.id);
+      return {
+        ...script,
+        version_count: versions.length,
+        latest_version: versions.length > 0 ? versions[0].timestamp : null
+      };
+    }).sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
   }
 
   /**
    * Get recent scans for a target
    */
   getTargetScans(targetId, limit = 10) {
-    return this.db.scans
-      .filter(s => s.targetId === targetId)
+    return this.records.listScans(targetId)
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
       .slice(0, limit);
   }
@@ -231,46 +472,52 @@ export class Storage {
    * Get all targets
    */
   getAllTargets() {
-    return Object.values(this.db.targets).map(t => {
-      const scripts = this.getTargetScripts(t.id);
-      const scans = this.getTargetScans(t.id);
-      return {
-        ...t,
-        script_count: scripts.length,
-        scan_count: scans.length,
-        last_scan: t.lastScan
-      };
-    }).sort((a, b) => {
+    return this.records.listTargets().map(t => ({
+      ...t,
+      script_count: this.records.countScripts({ targetId: t.id, parentId: null }),
+      scan_count: this.records.countScans(t.id),
+      last_scan: t.lastScan
+    })).sort((a, b) => {
       if (!a.last_scan) return 1;
       if (!b.last_scan) return -1;
       return new Date(b.last_scan) - new Date(a.last_scan);
     });
   }
 
+  /**
+   * Get a script record by ID
+   */
+  getScript(scriptId) {
+    return this.records.getScript(scriptId);
+  }
+
+  /**
+   * Get a scan record by ID
+   */
+  getScan(scanId) {
+    return this.records.getScan(scanId);
+  }
+
+  /**
+   * Get the script versions first recorded in a scan
+   */
+  getScanVersions(scanId) {
+    return this.records.listScanVersions(scanId).sort((a, b) => a.id - b.id);
+  }
+
   /**
    * Get script by ID with latest version content
    */
   getScriptWithContent(scriptId) {
-    let foundScript = null;
-    for (const key in this.db.scripts) {
-      if (this.db.scripts[key].id === scriptId) {
-        foundScript = this.db.scripts[key];
-        break;
-      }
-    }
-    
+    const foundScript = this.records.getScript(scriptId);
     if (!foundScript) return null;
-    
+
     const versions = this.getScriptVersions(scriptId);
     if (versions.length === 0) return foundScript;
-    
+
     const latestVersion = versions[0];
-    let content = null;
-    
-    if (latestVersion.contentFile && existsSync(latestVersion.contentFile)) {
-      content = readFileSync(latestVersion.contentFile, 'utf-8');
-    }
-    
+    const content = this.readContent(latestVersion);
+
     return {
       ...foundScript,
       content,
@@ -284,19 +531,167 @@ export class Storage {
    * Get version content by ID
    */
   getVersionContent(versionId) {
-    for (const scriptId in this.db.scriptVersions) {
-      const version = this.db.scriptVersions[scriptId].find(v => v.id === versionId);
-      if (version) {
-        if (version.contentFile && existsSync(version.contentFile)) {
-          return {
-            ...version,
-            content: readFileSync(version.contentFile, 'utf-8')
-          };
+    const version = this.records.getVersion(versionId);
+    if (!version) return null;
+
+    const content = this.readContent(version);
+    return content !== null ? { ...version, content } : version;
+  }
+
+  /**
+   * Read a version's content from its blob (or its legacy per-version file); null if missing
+   */
+  readContent(version) {
+    if (version.contentFile) {
+      const file = this.legacyFile(version);
+      return existsSync(file) ? readFileSync(file, 'utf-8') : null;
+    }
+    // Versions whose legacy file was already gone when migrated have no content at all
+    return version.contentHash ? this.blobs.read(version.contentHash) : null;
+  }
+
+  /**
+   * Legacy content paths are absolute; fall back to scripts/ in this data dir if the store was moved
+   */
+  legacyFile(version) {
+    if (existsSync(version.contentFile)) return version.contentFile;
+    return join(this.dataDir, 'scripts', basename(version.contentFile));
+  }
+
+  /**
+   * Add a reference to a blob, writing it if this is the first one
+   */
+  retainBlob(hash, content) {
+    const entry = this.records.getBlob(hash);
+    if (entry && this.blobs.has(hash)) {
+      entry.refs++;
+      this.records.putBlob(hash, entry);
+      return;
+    }
+
+    if (this.transactionDepth > 0 && !this.blobs.has(hash)) this.createdBlobs.push(hash);
+    const storedSize = this.blobs.write(hash, content);
+    this.records.putBlob(hash, {
+      refs: entry ? entry.refs + 1 : 1,
+      size: Buffer.byteLength(content),
+      storedSize
+    });
+  }
+
+  /**
+   * Drop a reference to a blob and delete it once nothing uses it
+   */
+  releaseBlob(hash) {
+    const entry = this.records.getBlob(hash);
+    if (!entry) return;
+
+    entry.refs--;
+    if (entry.refs <= 0) {
+      this.records.deleteBlob(hash);
+      this.deferDelete(() => this.blobs.delete(hash));
+    } else {
+      this.records.putBlob(hash, entry);
+    }
+  }
+
+  /**
+   * Release a version's content (blob reference or legacy file)
+   */
+  releaseVersionContent(version) {
+    if (version.contentFile) {
+      const file = this.legacyFile(version);
+      this.deferDelete(() => {
+        try {
+          unlinkSync(file);
+        } catch (e) {
+          // Ignore file deletion errors
         }
-        return version;
+      });
+      return;
+    }
+    this.releaseBlob(version.contentHash);
+  }
+
+  /**
+   * Move legacy scripts/<versionId>.js files into the blob store
+   * Records are committed before any legacy file is deleted, so an interrupted run can be repeated
+   */
+  migrateContent() {
+    const result = { versions: 0, missing: 0, originalSize: 0 };
+
+    this.transaction(() => {
+      for (const version of this.records.listAllVersions()) {
+        if (!version.contentFile) continue;
+
+        const file = this.legacyFile(version);
+        delete version.contentFile;
+
+        if (!existsSync(file)) {
+          result.missing++;
+          this.records.updateVersion(version);
+          continue;
+        }
+
+        const content = readFileSync(file, 'utf-8');
+        version.contentHash = this.hashContent(content);
+        this.retainBlob(version.contentHash, content);
+        this.records.updateVersion(version);
+
+        result.originalSize += statSync(file).size;
+        result.versions++;
+        this.releaseVersionContent({ contentFile: file });
       }
+    });
+
+    return { ...result, ...this.getBlobStats() };
+  }
+
+  /**
+   * Import uc-mon.json into uc-mon.db; later Storage instances use SQLite automatically
+   * The JSON file is kept as uc-mon.json.bak
+   */
+  migrateToSqlite() {
+    if (this.backendName === 'sqlite') {
+      throw new Error('Storage already uses SQLite');
+    }
+    if (existsSync(this.sqlitePath)) {
+      throw new Error(`${this.sqlitePath} already exists`);
+    }
+
+    const sqlite = new SqliteDatabase(this.sqlitePath);
+    try {
+      sqlite.importFrom(this.records);
+    } catch (error) {
+      sqlite.close();
+      unlinkSync(this.sqlitePath);
+      throw error;
     }
-    return null;
+
+    const counts = {
+      targets: sqlite.listTargets().length,
+      scripts: sqlite.countScripts(),
+      versions: sqlite.listAllVersions().length
+    };
+
+    if (existsSync(this.jsonPath)) {
+      renameSync(this.jsonPath, `${this.jsonPath}.bak`);
+    }
+
+    this.records = sqlite;
+    this.backendName = 'sqlite';
+    return counts;
+  }
+
+  /**
+   * Blob count and sizes before/after compression
+   */
+  getBlobStats() {
+    const entries = this.records.listBlobs();
+    return {
+      blobs: entries.length,
+      size: entries.reduce((sum, b) => sum + b.size, 0),
+      storedSize: entries.reduce((sum, b) => sum + b.storedSize, 0)
+    };
   }
 
   /**
@@ -306,46 +701,368 @@ export class Storage {
     return createHash('sha256').update(content).digest('hex');
   }
 
+  /**
+   * Mark a version as interesting so retention never removes it
+   */
+  flagVersion(versionId, flag) {
+    const version = this.records.getVersion(versionId);
+    if (!version) return null;
+
+    version.flags = Array.from(new Set([...(version.flags || []), flag]));
+    this.records.updateVersion(version);
+    return version;
+  }
+
+  unflagVersion(versionId) {
+    const version = this.records.getVersion(versionId);
+    if (!version) return null;
+
+    delete version.flags;
+    this.records.updateVersion(version);
+    return version;
+  }
+
+  /**
+   * Set (or clear with null) the global retention policy, or a target's override when a domain is given
+   * A policy is { keepLast, keepDays }; either may be omitted
+   */
+  setRetention(domain, policy) {
+    if (!domain) {
+      this.records.setSetting('retention', policy || null);
+      return policy || null;
+    }
+
+    const target = this.getTarget(domain);
+    if (!target) return null;
+
+    if (policy) {
+      target.retention = policy;
+    } else {
+      delete target.retention;
+    }
+    this.records.updateTarget(target);
+    return target.retention || null;
+  }
+
+  /**
+   * Effective retention policy for a target: the global policy with the target's overrides
+   */
+  getRetention(domain = null) {
+    const global = this.records.getSetting('retention') || {};
+    const target = domain ? this.getTarget(domain) : null;
+    return { ...global, ...(target?.retention || {}) };
+  }
+
+  /**
+   * Apply retention policies to one target (or all)
+   * A version is kept if it is the first or latest of its script, flagged, one of the last keepLast,
+   * or newer than keepDays. A scan is kept while it still has versions, or by the same count/age rules.
+   * With dryRun nothing is changed; the result reports what would be removed.
+   */
+  prune(options = {}) {
+    const targets = options.domain
+      ? [this.getTarget(options.domain)].filter(Boolean)
+      : this.records.listTargets();
+    const now = options.now || Date.now();
+
+    const removedVersions = [];
+    const removedScans = [];
+    const perTarget = [];
+
+    for (const target of targets) {
+      const policy = this.getRetention(target.domain);
+      const summary = { domain: target.domain, policy, versions: 0, scans: 0 };
+      perTarget.push(summary);
+
+      if (!policy.keepLast && !policy.keepDays) continue;
+
+      const cutoff = policy.keepDays ? now - policy.keepDays * 24 * 60 * 60 * 1000 : null;
+      const isRecent = (timestamp) => cutoff !== null && new Date(timestamp).getTime() >= cutoff;
+
+      const keptScanIds = new Set();
+
+      for (const script of this.records.listScripts({ targetId: target.id })) {
+        const versions = [...this.records.listVersions(script.id)].sort((a, b) => b.id - a.id);
+
+        versions.forEach((version, index) => {
+          const keep = index === 0 ||
+            index === versions.length - 1 ||
+            (version.flags && version.flags.length > 0) ||
+            (policy.keepLast && index < policy.keepLast) ||
+            isRecent(version.timestamp);
+
+          if (keep) {
+            keptScanIds.add(version.scanId);
+          } else {
+            removedVersions.push(version);
+            summary.versions++;
+          }
+        });
+      }
+
+      const scans = this.records.listScans(target.id).sort((a, b) => b.id - a.id);
+
+      scans.forEach((scan, index) => {
+        const keep = keptScanIds.has(scan.id) ||
+          (policy.keepLast && index < policy.keepLast) ||
+          isRecent(scan.timestamp);
+
+        if (!keep) {
+          removedScans.push(scan);
+          summary.scans++;
+        }
+      });
+    }
+
+    const reclaimed = this.transaction(() => {
+      const freed = this.releaseVersions(removedVersions, options.dryRun);
+      if (!options.dryRun) {
+        this.records.deleteScans(removedScans.map(s => s.id));
+      }
+      return freed;
+    });
+
+    return {
+      dryRun: Boolean(options.dryRun),
+      targets: perTarget,
+      versions: removedVersions.length,
+      scans: removedScans.length,
+      ...reclaimed
+    };
+  }
+
+  /**
+   * Remove version records and release their content
+   * Returns the number of blobs/files freed and their size on disk
+   */
+  releaseVersions(versions, dryRun = false) {
+    const refsDropped = {};
+    let files = 0;
+    let reclaimedSize = 0;
+
+    for (const version of versions) {
+      if (version.contentFile) {
+        const file = this.legacyFile(version);
+        if (existsSync(file)) {
+          files++;
+          reclaimedSize += statSync(file).size;
+        }
+      } else {
+        refsDropped[version.contentHash] = (refsDropped[version.contentHash] || 0) + 1;
+      }
+    }
+
+    // Blobs shared with versions that are kept are not freed
+    for (const hash in refsDropped) {
+      const entry = this.records.getBlob(hash);
+      if (entry && entry.refs <= refsDropped[hash]) {
+        files++;
+        reclaimedSize += entry.storedSize;
+      }
+    }
+
+    if (!dryRun) {
+      for (const version of versions) {
+        this.releaseVersionContent(version);
+      }
+      this.records.deleteVersions(versions.map(v => v.id));
+    }
+
+    return { files, reclaimedSize };
+  }
+
+  /**
+   * Regroup a target's scripts after its normalizer rules changed (normalize: url -> normalizedInfo)
+   * Every version goes to the identifier of the URL it was fetched from: scripts whose URLs now share an
+   * identifier are merged, and a script whose URLs now normalize apart is split. Child artifacts (source
+   * files, modules) follow a script that is merged away; a split script keeps them.
+   * Returns { dryRun, scripts, groups, changes: [{ type: 'renamed' | 'merged' | 'split', identifier, baseName,
+   *   scriptId (null for a script still to be created), from: [scriptIds], versions }] }
+   */
+  renormalize(targetId, normalize, options = {}) {
+    // Inline scripts are identified by page and key, not by URL
+    const scripts = this.records.listScripts({ targetId, parentId: null }).filter(s => s.kind !== 'inline');
+    const groups = new Map(); // identifier -> { info, entries: [{ script, version }] }
+
+    for (const script of scripts) {
+      for (const version of this.records.listVersions(script.id)) {
+        const info = normalize(version.url || script.url);
+        if (!groups.has(info.identifier)) groups.set(info.identifier, { info, entries: [] });
+        groups.get(info.identifier).entries.push({ script, version });
+      }
+    }
+
+    // A group is owned by the script already using its identifier, otherwise by the unclaimed script that
+    // contributes the most versions; groups without an owner become new scripts
+    const owners = new Map(); // identifier -> script or null
+    const claimed = new Set();
+    for (const script of scripts) {
+      const group = groups.get(script.identifier);
+      if (group && group.entries.some(e => e.script === script)) {
+        owners.set(script.identifier, script);
+        claimed.add(script.id);
+      }
+    }
+
+    const unowned = Array.from(groups.keys())
+      .filter(identifier => !owners.has(identifier))
+      .sort((a, b) => groups.get(b).entries.length - groups.get(a).entries.length);
+    for (const identifier of unowned) {
+      const counts = new Map();
+      for (const { script } of groups.get(identifier).entries) {
+        if (!claimed.has(script.id)) counts.set(script, (counts.get(script) || 0) + 1);
+      }
+
+      let owner = null;
+      for (const [script, count] of counts) {
+        if (!owner || count > counts.get(owner)) owner = script;
+      }
+      owners.set(identifier, owner);
+      if (owner) claimed.add(owner.id);
+    }
+
+    const changes = [];
+    for (const [identifier, group] of groups) {
+      const owner = owners.get(identifier);
+      const from = Array.from(new Set(group.entries.map(e => e.script.id)));
+      const moved = group.entries.filter(e => !owner || e.script !== owner);
+      if (owner && owner.identifier === identifier && moved.length === 0) continue;
+
+      changes.push({
+        type: !owner ? 'split' : moved.length > 0 ? 'merged' : 'renamed',
+        identifier,
+        baseName: group.info.filename,
+        scriptId: owner ? owner.id : null,
+        from,
+        versions: group.entries.length
+      });
+    }
+
+    if (!options.dryRun && changes.length > 0) {
+      this.transaction(() => this.applyRenormalize(targetId, scripts, groups, owners, changes));
+    }
+
+    return { dryRun: Boolean(options.dryRun), scripts: scripts.length, groups: groups.size, changes };
+  }
+
+  /**
+   * Write the regrouping planned by renormalize()
+   */
+  applyRenormalize(targetId, scripts, groups, owners, changes) {
+    // Versions with content the new script already has are dropped (their flags are kept)
+    const moveVersion = (version, scriptId) => {
+      const duplicate = this.records.findVersionByHash(scriptId, version.contentHash);
+      if (duplicate) {
+        if (version.flags) {
+          duplicate.flags = Array.from(new Set([...(duplicate.flags || []), ...version.flags]));
+          this.records.updateVersion(duplicate);
+        }
+        this.releaseVersions([version]);
+      } else {
+        version.scriptId = scriptId;
+        this.records.updateVersion(version);
+      }
+    };
+
+    const latestIds = new Map(); // script id -> id of its latest version, before anything moves
+    for (const { entries } of groups.values()) {
+      for (const { script, version } of entries) {
+        latestIds.set(script.id, Math.max(latestIds.get(script.id) || 0, version.id));
+      }
+    }
+
+    // Free the identifiers that change hands before handing out the new ones
+    const involved = new Set(changes.flatMap(c => c.from));
+    for (const script of scripts) {
+      if (!involved.has(script.id)) continue;
+      script.identifier = `renormalize:${script.id}`;
+      this.records.updateScript(script);
+    }
+
+    const heirs = new Map(); // script id -> script that received its latest version
+    for (const change of changes) {
+      const { info, entries } = groups.get(change.identifier);
+      const versions = entries.map(e => e.version).sort((a, b) => a.id - b.id);
+      const latest = versions[versions.length - 1];
+      const lastSeen = entries
+        .filter(e => e.version.id === latestIds.get(e.script.id))
+        .map(e => e.script.lastSeen)
+        .concat(latest.timestamp)
+        .sort()
+        .pop();
+
+      let owner = owners.get(change.identifier);
+      if (!owner) {
+        owner = this.records.insertScript({ targetId, identifier: change.identifier, firstSeen: versions[0].timestamp });
+        change.scriptId = owner.id;
+      }
+
+      for (const { script, version } of entries) {
+        if (script.id !== owner.id) moveVersion(version, owner.id);
+        if (version.id === latestIds.get(script.id)) heirs.set(script.id, owner);
+      }
+
+      const merged = scripts.filter(s => s.id !== owner.id && change.from.includes(s.id));
+      Object.assign(owner, {
+        url: latest.url || owner.url,
+        normalizedUrl: info.normalized,
+        identifier: change.identifier,
+        baseName: info.filename,
+        firstSeen: [owner.firstSeen, versions[0].timestamp].filter(Boolean).sort()[0],
+        lastSeen
+      });
+      const renames = [...(owner.renames || []), ...merged.flatMap(s => s.renames || [])];
+      if (renames.length > 0) owner.renames = renames;
+      this.records.updateScript(owner);
+    }
+
+    // Scripts left without versions hand their child artifacts to the script that got their latest version
+    for (const script of scripts) {
+      if (!involved.has(script.id) || this.records.listVersions(script.id).length > 0) continue;
+
+      const heir = heirs.get(script.id);
+      for (const child of this.records.listScripts({ parentId: script.id })) {
+        const identifier = `${child.kind}:${heir.id}:${child.path}`;
+        const existing = this.records.getScriptByIdentifier(targetId, identifier);
+        if (existing) {
+          for (const version of [...this.records.listVersions(child.id)]) moveVersion(version, existing.id);
+          this.records.deleteScript(child.id);
+        } else {
+          child.parentId = heir.id;
+          child.identifier = identifier;
+          this.records.updateScript(child);
+        }
+      }
+      this.records.deleteScript(script.id);
+    }
+  }
+
   /**
    * Remove a target and all its data
    */
   removeTarget(domain) {
-    const target = this.db.targets[domain];
+    const target = this.records.getTarget(domain);
     if (!target) {
       return false;
     }
 
-    const targetId = target.id;
-
-    // Remove all script versions and their files
-    for (const key in this.db.scripts) {
-      const script = this.db.scripts[key];
-      if (script.targetId === targetId) {
-        // Remove version files
-        const versions = this.db.scriptVersions[`${script.id}`] || [];
-        for (const v of versions) {
-          if (v.contentFile && existsSync(v.contentFile)) {
-            try {
-              unlinkSync(v.contentFile);
-            } catch (e) {
-              // Ignore file deletion errors
-            }
-          }
+    this.transaction(() => {
+      // Remove all scripts, their versions and their content
+      for (const script of this.records.listScripts({ targetId: target.id })) {
+        // Release version content; blobs shared with other targets are kept
+        for (const v of this.records.listVersions(script.id)) {
+          this.releaseVersionContent(v);
         }
-        // Remove version records
-        delete this.db.scriptVersions[`${script.id}`];
-        // Remove script record
-        delete this.db.scripts[key];
+        this.records.deleteScript(script.id);
       }
-    }
 
-    // Remove scans
-    this.db.scans = this.db.scans.filter(s => s.targetId !== targetId);
+      // Remove scans
+      this.records.deleteScans(this.records.listScans(target.id).map(s => s.id));
 
-    // Remove target
-    delete this.db.targets[domain];
+      // Remove target
+      this.records.deleteTarget(target.id);
+    });
 
-    this.saveDb();
     return true;
   }
 
@@ -353,7 +1070,7 @@ export class Storage {
    * Close - save final state
    */
   close() {
-    this.saveDb();
+    this.records.close();
   }
 }
 
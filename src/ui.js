@@ -0,0 +1,416 @@
+/**
+ * Web UI - Local HTTP interface for browsing targets, scripts, versions and diffs
+ * Server-rendered HTML, no build step or client-side framework
+ */
+
+import { createServer } from 'http';
+import { Router, HttpError } from './router.js';
+
+const KEYWORDS = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+  'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+  'instanceof', 'let', 'new', 'null', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true',
+  'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+];
+
+// Comments, strings, keywords and numbers, in that order of precedence
+const TOKEN_PATTERN = new RegExp(
+  '(\\/\\/.*$|\\/\\*.*?\\*\\/)' +
+  '|("(?:\\\\.|[^"\\\\])*"|\'(?:\\\\.|[^\'\\\\])*\'|`(?:\\\\.|[^`\\\\])*`)' +
+  `|\\b(${KEYWORDS.join('|')})\\b` +
+  '|\\b(\\d+(?:\\.\\d+)?)\\b',
+  'g'
+);
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 0; background: #0d1117; color: #c9d1d9; }
+  header { background: #161b22; padding: 12px 24px; border-bottom: 1px solid #30363d; }
+  header a { color: #58a6ff; font-weight: bold; text-decoration: none; font-size: 18px; }
+  main { padding: 16px 24px; }
+  a { color: #58a6ff; }
+  h1, h2 { font-weight: 600; }
+  h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 28px; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+  th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #21262d; font-size: 14px; vertical-align: top; }
+  th { color: #8b949e; font-weight: 600; }
+  .muted { color: #8b949e; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; margin-right: 4px; }
+  .badge.new { background: #1f6f3f; } .badge.updated { background: #1f4f8f; } .badge.auth { background: #6e40c9; }
+  .code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+  .code table { table-layout: fixed; }
+  .code td { border: none; padding: 0 8px; white-space: pre-wrap; word-break: break-all; }
+  .code td.num { width: 50px; color: #6e7681; text-align: right; user-select: none; }
+  .code tr.add td.right, .code tr.change td.right { background: #12361f; }
+  .code tr.remove td.left, .code tr.change td.left { background: #4a1c1f; }
+  .code tr.skip td { background: #161b22; color: #8b949e; text-align: center; padding: 4px; }
+  .tok-comment { color: #8b949e; } .tok-string { color: #a5d6ff; } .tok-keyword { color: #ff7b72; } .tok-number { color: #79c0ff; }
+  form.inline { display: inline; }
+  select, button { background: #21262d; color: #c9d1d9; border: 1px solid #30363d; padding: 3px 6px; }
+`;
+
+export class WebUI {
+  constructor(monitor, options = {}) {
+    this.monitor = monitor;
+    this.storage = monitor.storage;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 4000;
+    this.server = null;
+
+    this.router = new Router()
+      .get('/', () => this.renderTargets())
+      .get('/targets/:domain', (req, params) => this.renderTarget(params.domain))
+      .get('/scripts/:id', (req, params) => this.renderScript(this.parseId(params.id)))
+      .get('/scripts/:id/diff', (req, params, query) => this.renderDiff(this.parseId(params.id), query))
+      .get('/versions/:id', (req, params, query) => this.renderVersion(this.parseId(params.id), query))
+      .get('/versions/:id/download', (req, params) => this.downloadVersion(this.parseId(params.id)));
+  }
+
+  /**
+   * Start listening; resolves with the server URL
+   */
+  start() {
+    this.server = createServer((req, res) => this.handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        resolve(`http://${this.host}:${port}`);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+    });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      this.storage.refresh();
+
+      const route = this.router.match(req.method, url.pathname);
+      if (!route) throw new HttpError(404, 'Page not found');
+
+      const result = await route.handler(req, route.params, Object.fromEntries(url.searchParams));
+
+      if (result.download) {
+        res.writeHead(200, {
+          'Content-Type': 'application/javascript; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${result.filename}"`
+        });
+        res.end(result.content);
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(this.layout(result.title, result.body));
+    } catch (error) {
+      const status = error.status || 500;
+      res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(this.layout('Error', `<h1>${status}</h1><p>${escapeHtml(error.message)}</p>`));
+    }
+  }
+
+  parseId(value) {
+    const id = parseInt(value);
+    if (Number.isNaN(id)) throw new HttpError(400, `Invalid id "${value}"`);
+    return id;
+  }
+
+  /**
+   * Target list
+   */
+  renderTargets() {
+    const targets = this.monitor.listTargets();
+
+    const rows = targets.map(t => `
+      <tr>
+        <td><a href="/targets/${encodeURIComponent(t.domain)}">${escapeHtml(t.domain)}</a></td>
+        <td>${t.script_count}</td>
+        <td>${t.scan_count}</td>
+        <td class="muted">${escapeHtml(t.last_scan || 'Never')}</td>
+      </tr>`).join('');
+
+    return {
+      title: 'Targets',
+      body: `
+        <h1>Targets</h1>
+        ${targets.length === 0
+          ? '<p class="muted">No targets scanned yet. Run: <code>uc-mon scan &lt;url&gt;</code></p>'
+          : `<table><tr><th>Domain</th><th>Scripts</th><th>Scans</th><th>Last Scan</th></tr>${rows}</table>`}`
+    };
+  }
+
+  /**
+   * Scan timeline and script list for a target
+   */
+  renderTarget(domain) {
+    const target = this.storage.getTarget(domain);
+    if (!target) throw new HttpError(404, `Target "${domain}" not found`);
+
+    const scans = this.storage.getTargetScans(target.id, 100);
+    const scripts = this.storage.getTargetScripts(target.id);
+
+    const timeline = scans.map(scan => {
+      const versions = this.storage.getScanVersions(scan.id);
+      const changes = versions.map(v => {
+        const script = this.storage.getScript(v.scriptId);
+        if (!script) return '';
+        const isNew = this.storage.getScriptVersions(script.id).slice(-1)[0]?.id === v.id;
+        const link = isNew
+          ? `/scripts/${script.id}`
+          : `/scripts/${script.id}/diff?v2=${v.id}`;
+        return `<div><span class="badge ${isNew ? 'new' : 'updated'}">${isNew ? 'new' : 'updated'}</span>` +
+          `<a href="${link}">${escapeHtml(script.baseName)}</a></div>`;
+      }).join('');
+
+      return `
+        <tr>
+          <td class="muted">${escapeHtml(scan.timestamp)}</td>
+          <td>${escapeHtml(scan.url)}${scan.authenticated ? ' <span class="badge auth">auth</span>' : ''}</td>
+          <td>${scan.scriptCount}</td>
+          <td>${formatBytes(scan.totalSize)}</td>
+          <td>${changes || '<span class="muted">No changes</span>'}</td>
+        </tr>`;
+    }).join('');
+
+    const scriptRows = scripts.map(s => `
+      <tr>
+        <td>${s.id}</td>
+        <td><a href="/scripts/${s.id}">${escapeHtml(s.baseName)}</a><div class="muted">${escapeHtml(s.url)}</div></td>
+        <td>${s.version_count}</td>
+        <td class="muted">${escapeHtml(s.lastSeen)}</td>
+      </tr>`).join('');
+
+    return {
+      title: domain,
+      body: `
+        <h1>${escapeHtml(domain)}</h1>
+        <h2>Scan Timeline</h2>
+        <table><tr><th>Time</th><th>URL</th><th>Scripts</th><th>Size</th><th>Changes</th></tr>${timeline}</table>
+        <h2>Scripts (${scripts.length})</h2>
+        <table><tr><th>ID</th><th>Name</th><th>Versions</th><th>Last Seen</th></tr>${scriptRows}</table>`
+    };
+  }
+
+  /**
+   * Version list for a script
+   */
+  renderScript(scriptId) {
+    const script = this.storage.getScript(scriptId);
+    if (!script) throw new HttpError(404, `Script ${scriptId} not found`);
+
+    const versions = this.storage.getScriptVersions(scriptId);
+    const target = this.monitor.listTargets().find(t => t.id === script.targetId);
+    const children = this.storage.getChildScripts(scriptId);
+
+    const versionRows = versions.map((v, i) => {
+      const previous = versions[i + 1];
+      return `
+        <tr>
+          <td>${v.id}</td>
+          <td class="muted">${escapeHtml(v.timestamp)}</td>
+          <td>${formatBytes(v.size)}</td>
+          <td class="code">${escapeHtml(v.contentHash.slice(0, 12))}</td>
+          <td class="muted">${escapeHtml(v.loadMethod || '')}</td>
+          <td>
+            <a href="/versions/${v.id}">view</a> ·
+            <a href="/versions/${v.id}/download">download</a>
+            ${previous ? ` · <a href="/scripts/${scriptId}/diff?v1=${previous.id}&amp;v2=${v.id}">diff with ${previous.id}</a>` : ''}
+          </td>
+        </tr>`;
+    }).join('');
+
+    const childRows = children.map(c => `
+      <tr>
+        <td><a href="/scripts/${c.id}">${escapeHtml(c.path)}</a></td>
+        <td class="muted">${escapeHtml(c.kind)}</td>
+        <td>${c.version_count}</td>
+      </tr>`).join('');
+
+    const parentLink = script.parentId
+      ? `<p>Part of <a href="/scripts/${script.parentId}">script ${script.parentId}</a></p>`
+      : '';
+
+    return {
+      title: script.baseName,
+      body: `
+        <p class="muted">${target ? `<a href="/targets/${encodeURIComponent(target.domain)}">${escapeHtml(target.domain)}</a> / ` : ''}script ${script.id}</p>
+        <h1>${escapeHtml(script.baseName)}</h1>
+        <p class="muted">${escapeHtml(script.url)}</p>
+        ${parentLink}
+        <h2>Versions (${versions.length})</h2>
+        <table><tr><th>ID</th><th>Time</th><th>Size</th><th>Hash</th><th>Loaded By</th><th></th></tr>${versionRows}</table>
+        ${children.length > 0
+          ? `<h2>Files (${children.length})</h2><table><tr><th>Path</th><th>Kind</th><th>Versions</th></tr>${childRows}</table>`
+          : ''}`
+    };
+  }
+
+  /**
+   * Side-by-side diff between two versions (defaults to the two most recent)
+   */
+  async renderDiff(scriptId, query) {
+    const script = this.storage.getScript(scriptId);
+    if (!script) throw new HttpError(404, `Script ${scriptId} not found`);
+
+    const versions = this.storage.getScriptVersions(scriptId);
+    if (versions.length < 2) throw new HttpError(400, 'Only one version available, no diff possible');
+
+    const v2Id = query.v2 ? this.parseId(query.v2) : versions[0].id;
+    const v2Index = versions.findIndex(v => v.id === v2Id);
+    const v1Id = query.v1
+      ? this.parseId(query.v1)
+      : (versions[v2Index + 1] || versions[1]).id;
+
+    for (const id of [v1Id, v2Id]) {
+      if (!versions.some(v => v.id === id)) {
+        throw new HttpError(404, `Version ${id} does not belong to script ${scriptId}`);
+      }
+    }
+
+    const diff = await this.monitor.diffVersions(scriptId, v1Id, v2Id);
+    const rows = this.monitor.differ.toSideBySide(diff, { context: parseInt(query.context) || 3 });
+
+    const cell = (side, line) => line
+      ? `<td class="num">${line.number}</td><td class="${side}">${highlight(line.content)}</td>`
+      : `<td class="num"></td><td class="${side}"></td>`;
+
+    const body = rows.map(row => row.type === 'skip'
+      ? `<tr class="skip"><td colspan="4">… ${row.count} unchanged line(s) …</td></tr>`
+      : `<tr class="${row.type}">${cell('left', row.left)}${cell('right', row.right)}</tr>`
+    ).join('');
+
+    const options = (selected) => versions.map(v =>
+      `<option value="${v.id}"${v.id === selected ? ' selected' : ''}>${v.id} · ${escapeHtml(v.timestamp)}</option>`
+    ).join('');
+
+    return {
+      title: `Diff ${script.baseName}`,
+      body: `
+        <p class="muted"><a href="/scripts/${scriptId}">${escapeHtml(script.baseName)}</a></p>
+        <h1>Version ${v1Id} → ${v2Id}</h1>
+        <form class="inline" method="get">
+          <select name="v1">${options(v1Id)}</select> →
+          <select name="v2">${options(v2Id)}</select>
+          <button type="submit">Compare</button>
+        </form>
+        <p>
+          <span style="color:#3fb950">+${diff.stats.additions}</span>
+          <span style="color:#f85149">-${diff.stats.deletions}</span>
+          <span class="muted">(${diff.stats.changePercent}% changed)</span>
+        </p>
+        <div class="code"><table><colgroup><col style="width:50px"><col><col style="width:50px"><col></colgroup>${body}</table></div>`
+    };
+  }
+
+  /**
+   * Syntax-highlighted view of a stored version
+   */
+  async renderVersion(versionId, query) {
+    const version = this.storage.getVersionContent(versionId);
+    if (!version) throw new HttpError(404, `Version ${versionId} not found`);
+    if (!version.content) throw new HttpError(410, 'Version content not available');
+
+    const script = this.storage.getScript(version.scriptId);
+    let content = version.content;
+    let formatted = false;
+
+    if (query.format !== '0') {
+      try {
+        content = await this.monitor.differ.prettify(content);
+        formatted = true;
+      } catch (e) {
+        // Not parseable as JavaScript, show as-is
+      }
+    }
+
+    const lines = content.split('\n').map((line, i) =>
+      `<tr><td class="num">${i + 1}</td><td>${highlight(line)}</td></tr>`
+    ).join('');
+
+    return {
+      title: `Version ${versionId}`,
+      body: `
+        <p class="muted"><a href="/scripts/${version.scriptId}">${escapeHtml(script ? script.baseName : `script ${version.scriptId}`)}</a></p>
+        <h1>Version ${versionId}</h1>
+        <p class="muted">${escapeHtml(version.timestamp)} · ${formatBytes(version.size)} · ${escapeHtml(version.contentHash)}</p>
+        <p>
+          <a href="/versions/${versionId}/download">download</a> ·
+          ${formatted ? `<a href="/versions/${versionId}?format=0">show original</a>` : `<a href="/versions/${versionId}">format</a>`}
+        </p>
+        <div class="code"><table><colgroup><col style="width:50px"><col></colgroup>${lines}</table></div>`
+    };
+  }
+
+  downloadVersion(versionId) {
+    const version = this.storage.getVersionContent(versionId);
+    if (!version) throw new HttpError(404, `Version ${versionId} not found`);
+    if (!version.content) throw new HttpError(410, 'Version content not available');
+
+    const script = this.storage.getScript(version.scriptId);
+    const name = (script ? script.baseName.split('/').pop() : 'script').replace(/[^\w.-]/g, '_');
+
+    return { download: true, filename: `v${versionId}-${name}`, content: version.content };
+  }
+
+  layout(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} · UC-Mon</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <header><a href="/">UC-Mon</a></header>
+  <main>${body}</main>
+</body>
+</html>`;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Highlight one line of JavaScript as HTML
+ */
+function highlight(line) {
+  let html = '';
+  let lastIndex = 0;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_PATTERN.exec(line)) !== null) {
+    if (match[0].length === 0) {
+      TOKEN_PATTERN.lastIndex++;
+      continue;
+    }
+
+    html += escapeHtml(line.slice(lastIndex, match.index));
+    const type = match[1] ? 'comment' : match[2] ? 'string' : match[3] ? 'keyword' : 'number';
+    html += `<span class="tok-${type}">${escapeHtml(match[0])}</span>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(line.slice(lastIndex));
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export default WebUI;
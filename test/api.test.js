@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UCMon } from '../src/index.js';
+import { ApiServer } from '../src/api.js';
+import { HttpError } from '../src/router.js';
+import { tempDataDir } from './helpers.js';
+
+/**
+ * API server whose queued scans never start, so queueScan can be called directly
+ */
+function withApi(fn) {
+  const { dir, cleanup } = tempDataDir();
+  const monitor = new UCMon({ dbPath: dir, notify: false });
+  const api = new ApiServer(monitor, { token: 'test' });
+  api.running = true;
+  try {
+    fn(api);
+  } finally {
+    monitor.close();
+    cleanup();
+  }
+}
+
+const isStatus = status => error => error instanceof HttpError && error.status === status;
+
+test('scan auth must be arrays of strings', () => {
+  withApi((api) => {
+    assert.throws(() => api.queueScan({ url: 'https://a.example', auth: { cookies: [{ name: 'sid' }] } }), isStatus(400));
+    assert.throws(() => api.queueScan({ url: 'https://a.example', auth: { headers: ['X-A: 1', 2] } }), isStatus(400));
+    assert.equal(api.queueScan({ url: 'https://a.example', auth: { cookies: ['sid=1'] } }).status, 202);
+  });
+});
+
+test('scans beyond the queue limit are refused', () => {
+  withApi((api) => {
+    for (let i = 0; i < 50; i++) api.queueScan({ url: `https://host${i}.example` });
+    assert.throws(() => api.queueScan({ url: 'https://one-more.example' }), isStatus(429));
+    assert.equal(api.queue.length, 50);
+  });
+});
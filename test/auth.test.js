@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { AuthConfig } from '../src/auth.js';
+import { JSExtractor } from '../src/extractor.js';
+import { tempDataDir, startSite } from './helpers.js';
+
+test('cookie and header options are parsed and scoped to the target', () => {
+  const auth = AuthConfig.fromOptions({
+    cookies: ['session=abc123; theme=dark', 'invalid'],
+    headers: ['Authorization: Bearer xyz: with colon']
+  }, 'app.example.com');
+
+  assert.deepEqual(auth.cookies.map(c => [c.name, c.value, c.domain]), [
+    ['session', 'abc123', 'app.example.com'],
+    ['theme', 'dark', 'app.example.com']
+  ]);
+  assert.deepEqual(auth.headers, { Authorization: 'Bearer xyz: with colon' });
+  assert.throws(() => AuthConfig.fromOptions({ headers: ['no colon'] }, 'app.example.com'), /Invalid header "no colon"/);
+});
+
+test('credentials go to the scope and its subdomains only', () => {
+  const auth = AuthConfig.fromOptions({ cookies: ['sid=1'], headers: ['X-Token: t'], scope: 'example.com' }, 'app.example.com');
+  const withCredentials = { 'X-Token': 't', Cookie: 'sid=1' };
+
+  assert.deepEqual(auth.headersFor('https://example.com/'), withCredentials);
+  assert.deepEqual(auth.headersFor('https://cdn.app.example.com/app.js'), withCredentials);
+  assert.deepEqual(auth.headersFor('https://evilexample.com/'), {});
+  assert.deepEqual(auth.headersFor('https://cdn.thirdparty.net/lib.js'), {});
+  assert.deepEqual(auth.headersFor('https://example.com/', { includeCookies: false }), { 'X-Token': 't' });
+});
+
+test('storage state files load cookies for their own domains and local storage', () => {
+  const { dir, cleanup } = tempDataDir();
+  try {
+    const path = join(dir, 'state.json');
+    writeFileSync(path, JSON.stringify({
+      cookies: [
+        { name: 'sid', value: 'abc', domain: '.example.com', path: '/app', secure: true },
+        { name: 'other', value: 'x', domain: 'other.net' }
+      ],
+      origins: [{ origin: 'https://example.com', localStorage: [{ name: 'token', value: 42 }] }]
+    }));
+
+    const auth = AuthConfig.fromOptions({ storageState: path }, 'example.com');
+    assert.deepEqual(auth.localStorage, [{ origin: 'https://example.com', items: [{ name: 'token', value: '42' }] }]);
+    assert.deepEqual(auth.cookiesFor('https://www.example.com/app/page').map(c => c.name), ['sid']);
+    assert.deepEqual(auth.cookiesFor('https://www.example.com/other').map(c => c.name), []);
+    assert.deepEqual(auth.cookiesFor('https://other.net/').map(c => c.name), ['other']);
+
+    writeFileSync(path, '{');
+    assert.throws(() => AuthConfig.fromOptions({ storageState: path }, 'example.com'), /Invalid storage state file/);
+  } finally {
+    cleanup();
+  }
+});
+
+test('browser cookies merge over saved ones and summaries are masked', () => {
+  const auth = AuthConfig.fromOptions({ cookies: ['sid=old-session-value', 'theme=dark'] }, 'example.com')
+    .withCookies([{ name: 'sid', value: 'new-session-value', domain: '.example.com' }]);
+
+  assert.deepEqual(auth.cookies.map(c => `${c.name}=${c.value}`), ['sid=new-session-value', 'theme=dark']);
+  assert.deepEqual(auth.describe().cookies, ['sid=new-****ue (example.com)', 'theme=**** (example.com)']);
+});
+
+test('fetch mode sends credentials to the target but not to other script hosts', async () => {
+  const cdn = await startSite({ '/lib.js': { type: 'application/javascript', body: 'lib();' } });
+  const cdnUrl = cdn.url.replace('127.0.0.1', 'localhost');
+  const site = await startSite({
+    '/': { type: 'text/html', body: `<html><script src="/app.js"></script><script src="${cdnUrl}/lib.js"></script></html>` },
+    '/app.js': { type: 'application/javascript', body: 'app();' }
+  });
+  try {
+    const auth = AuthConfig.fromOptions({ cookies: ['sid=1'], headers: ['Authorization: Bearer t'] }, '127.0.0.1');
+    const extraction = await new JSExtractor({ mode: 'fetch' }).extract(site.url, { auth });
+
+    assert.equal(extraction.scripts.length, 2);
+    assert.ok(site.requests.every(r => r.headers.cookie === 'sid=1' && r.headers.authorization === 'Bearer t'));
+    assert.ok(cdn.requests.length > 0 && cdn.requests.every(r => !r.headers.cookie && !r.headers.authorization));
+  } finally {
+    await Promise.all([site.close(), cdn.close()]);
+  }
+});
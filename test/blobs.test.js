@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { Storage } from '../src/storage.js';
+import { tempDataDir } from './helpers.js';
+
+const script = content => ({ url: 'https://a.example/app.js', content, size: content.length });
+const info = { identifier: 'app.js', normalized: 'https://a.example/app.js', filename: 'app.js' };
+
+test('blobs written by a rolled back transaction are removed', () => {
+  const { dir, cleanup } = tempDataDir();
+  const storage = new Storage(dir);
+  try {
+    const target = storage.getOrCreateTarget('a.example');
+    const kept = storage.storeScript(target.id, storage.createScan(target.id, 'https://a.example', 1, 1), script('kept();\n'), info);
+
+    assert.throws(() => storage.transaction(() => {
+      const scanId = storage.createScan(target.id, 'https://a.example', 2, 2);
+      storage.storeScript(target.id, scanId, script('kept();\n'), info);
+      storage.storeScript(target.id, scanId, script('lost();\n'), { ...info, identifier: 'lost.js' });
+      throw new Error('scan failed');
+    }), /scan failed/);
+
+    assert.equal(storage.blobs.has(storage.hashContent('lost();\n')), false);
+    assert.equal(storage.getVersionContent(kept.versionId).content, 'kept();\n');
+  } finally {
+    storage.close();
+    cleanup();
+  }
+});
+
+test('identical content is stored once and freed with its last reference', () => {
+  const { dir, cleanup } = tempDataDir();
+  const storage = new Storage(dir);
+  try {
+    for (const domain of ['a.example', 'b.example']) {
+      const target = storage.getOrCreateTarget(domain);
+      storage.storeScript(target.id, storage.createScan(target.id, `https://${domain}`, 1, 1), script('shared();\n'), info);
+    }
+
+    const hash = storage.hashContent('shared();\n');
+    assert.equal(storage.records.getBlob(hash).refs, 2);
+    assert.equal(storage.getBlobStats().blobs, 1);
+
+    storage.removeTarget('a.example');
+    assert.equal(storage.records.getBlob(hash).refs, 1);
+    assert.equal(storage.blobs.has(hash), true);
+
+    storage.removeTarget('b.example');
+    assert.equal(storage.records.getBlob(hash), null);
+    assert.equal(storage.blobs.has(hash), false);
+  } finally {
+    storage.close();
+    cleanup();
+  }
+});
+
+test('legacy per-version files migrate into shared blobs', () => {
+  const { dir, cleanup } = tempDataDir();
+  const storage = new Storage(dir);
+  try {
+    const target = storage.getOrCreateTarget('a.example');
+    const scanId = storage.createScan(target.id, 'https://a.example', 1, 1);
+    const current = storage.storeScript(target.id, scanId, script('same();\n'), info);
+
+    mkdirSync(join(dir, 'scripts'));
+    const legacyFile = join(dir, 'scripts', '100.js');
+    writeFileSync(legacyFile, 'same();\n');
+    const legacy = storage.records.insertVersion({ scriptId: current.scriptId, scanId, contentFile: legacyFile, size: 8 });
+    const missing = storage.records.insertVersion({ scriptId: current.scriptId, scanId, contentFile: join(dir, 'scripts', '101.js'), size: 8 });
+    assert.equal(storage.getVersionContent(legacy.id).content, 'same();\n');
+
+    const result = storage.migrateContent();
+    assert.equal(result.versions, 1);
+    assert.equal(result.missing, 1);
+    assert.equal(result.blobs, 1);
+    assert.equal(existsSync(legacyFile), false);
+    assert.equal(storage.getVersionContent(legacy.id).content, 'same();\n');
+    assert.equal(storage.getVersionContent(missing.id).content, undefined);
+    assert.equal(storage.records.getBlob(storage.hashContent('same();\n')).refs, 2);
+  } finally {
+    storage.close();
+    cleanup();
+  }
+});
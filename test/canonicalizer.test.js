@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Canonicalizer } from '../src/canonicalizer.js';
+
+const canonicalizer = new Canonicalizer();
+
+test('build timestamps are cosmetic', () => {
+  assert.equal(canonicalizer.isCosmetic('var buildTime=1700000000;\n', 'var buildTime=1700086400;\n'), true);
+  assert.equal(canonicalizer.isCosmetic('var built=1700000000000;\n', 'var built=1700086400000;\n'), true);
+  assert.equal(canonicalizer.isCosmetic('load("/app.js?v=1700000000");\n', 'load("/app.js?v=1700086400");\n'), true);
+});
+
+test('changed numeric ids are significant', () => {
+  assert.equal(canonicalizer.isCosmetic('var appId=1234567890;\n', 'var appId=1234567891;\n'), false);
+  assert.equal(canonicalizer.isCosmetic('var account="123456789012";\n', 'var account="210987654321";\n'), false);
+  assert.equal(canonicalizer.isCosmetic('var limit=99999999999999;\n', 'var limit=10000000000000;\n'), false);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChunkEnumerator } from '../src/chunks.js';
+import { JSExtractor } from '../src/extractor.js';
+import { startSite } from './helpers.js';
+
+const enumerator = new ChunkEnumerator();
+
+// Minified webpack runtime: named chunks, content hashes and a publicPath
+const WEBPACK_RUNTIME = '(()=>{var r={};r.p="/static/";' +
+  'r.u=e=>"js/"+({12:"admin",34:"billing"}[e]||e)+"."+{12:"a1b2c3",34:"d4e5f6",56:"0f0f0f"}[e]+".chunk.js";})();';
+
+test('webpack chunk filenames are evaluated for every chunk id', () => {
+  const chunks = enumerator.analyze({ url: 'https://a.example/static/js/runtime.js', content: WEBPACK_RUNTIME });
+
+  assert.deepEqual(chunks.map(c => [c.chunkId, c.url]), [
+    ['12', 'https://a.example/static/js/admin.a1b2c3.chunk.js'],
+    ['34', 'https://a.example/static/js/billing.d4e5f6.chunk.js'],
+    ['56', 'https://a.example/static/js/56.0f0f0f.chunk.js']
+  ]);
+  assert.ok(chunks.every(c => c.bundler === 'webpack'));
+});
+
+test('an empty publicPath resolves chunks next to the runtime', () => {
+  const runtime = 'var n={};n.p="";n.u=function(e){return"static/js/"+e+"."+{7:"abc123"}[e]+".chunk.js"};';
+  assert.deepEqual(enumerator.analyze({ url: 'https://a.example/static/js/main.js', content: runtime }).map(c => c.url),
+    ['https://a.example/static/js/7.abc123.chunk.js']);
+});
+
+test('Vite map deps and dynamic imports are listed, skipping loaded scripts and CSS', () => {
+  const entry = {
+    url: 'https://a.example/app/assets/index-1.js',
+    content: 'const __vite__mapDeps=(i,m=__vite__mapDeps,d=(m.f||(m.f=["assets/Admin-abc.js","assets/Admin-def.css"])))' +
+      '=>i.map(i=>d[i]);const settings=()=>import("./Settings-xyz.js");'
+  };
+
+  assert.deepEqual(enumerator.analyze(entry).map(c => [c.bundler, c.url]), [
+    ['vite', 'https://a.example/app/assets/Admin-abc.js'],
+    ['vite', 'https://a.example/app/assets/Settings-xyz.js']
+  ]);
+  assert.deepEqual(enumerator.enumerate([entry, { url: 'https://a.example/app/assets/Settings-xyz.js', content: '' }])
+    .map(c => c.url), ['https://a.example/app/assets/Admin-abc.js']);
+});
+
+test('fetch mode downloads chunks the page never loaded', async () => {
+  const site = await startSite({
+    '/': { type: 'text/html', body: '<html><script src="/static/js/runtime.js"></script></html>' },
+    '/static/js/runtime.js': { type: 'application/javascript', body: WEBPACK_RUNTIME },
+    '/static/js/admin.a1b2c3.chunk.js': { type: 'application/javascript', body: 'fetch("/api/admin");' },
+    '/static/js/billing.d4e5f6.chunk.js': { type: 'application/javascript', body: 'fetch("/api/billing");' }
+  });
+  try {
+    const extraction = await new JSExtractor({ mode: 'fetch', enumerateChunks: true }).extract(site.url);
+
+    assert.deepEqual(extraction.scripts.filter(s => s.loadMethod === 'chunk-enumeration').map(s => new URL(s.url).pathname).sort(),
+      ['/static/js/admin.a1b2c3.chunk.js', '/static/js/billing.d4e5f6.chunk.js']);
+    assert.deepEqual(extraction.failures.map(f => [new URL(f.url).pathname, f.status]), [['/static/js/56.0f0f0f.chunk.js', 404]]);
+  } finally {
+    await site.close();
+  }
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { existsSync, writeFileSync } from 'fs';
+import { Daemon } from '../src/daemon.js';
+import { tempDataDir } from './helpers.js';
+
+function withDaemon(fn) {
+  const { dir, cleanup } = tempDataDir();
+  return Promise.resolve()
+    .then(() => fn(new Daemon(dir)))
+    .finally(cleanup);
+}
+
+/**
+ * PID of a process that has already exited
+ */
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('getPid returns a live pid and removes a stale pidfile', () => withDaemon((daemon) => {
+  assert.equal(daemon.getPid(), null);
+
+  writeFileSync(daemon.pidFile, String(process.pid));
+  assert.equal(daemon.getPid(), process.pid);
+
+  writeFileSync(daemon.pidFile, String(deadPid()));
+  assert.equal(daemon.getPid(), null);
+  assert.equal(existsSync(daemon.pidFile), false);
+
+  writeFileSync(daemon.pidFile, 'garbage');
+  assert.equal(daemon.getPid(), null);
+  assert.equal(existsSync(daemon.pidFile), false);
+}));
+
+test('start and run refuse while another daemon is running', () => withDaemon(async (daemon) => {
+  writeFileSync(daemon.pidFile, String(process.pid));
+  await assert.rejects(daemon.start({ config: 'targets.json' }), /already running \(pid \d+\)/);
+
+  // run() only accepts a pidfile that is its own process
+  writeFileSync(daemon.pidFile, String(process.ppid));
+  assert.throws(() => daemon.run({ config: 'targets.json' }), /already running/);
+}));
+
+test('stop and status with no daemon running', () => withDaemon(async (daemon) => {
+  writeFileSync(daemon.pidFile, String(deadPid()));
+  writeFileSync(daemon.statusFile, JSON.stringify({ state: 'running' }));
+
+  assert.equal(await daemon.stop(), null);
+  assert.deepEqual(daemon.status(), { running: false, pid: null, state: null });
+}));
+
+test('status includes the status file while running', () => withDaemon((daemon) => {
+  writeFileSync(daemon.pidFile, String(process.pid));
+  writeFileSync(daemon.statusFile, JSON.stringify({ state: 'running', targets: [] }));
+
+  assert.deepEqual(daemon.status(), { running: true, pid: process.pid, state: { state: 'running', targets: [] } });
+}));
+
+test('readLog returns the last lines', () => withDaemon((daemon) => {
+  assert.equal(daemon.readLog(), '');
+  writeFileSync(daemon.logFile, 'one\ntwo\nthree\n');
+  assert.equal(daemon.readLog(2), 'two\nthree');
+}));
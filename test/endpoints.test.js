@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EndpointExtractor } from '../src/endpoints.js';
+import { UCMon } from '../src/index.js';
+import { tempDataDir, startSite } from './helpers.js';
+
+const extractor = new EndpointExtractor();
+
+test('fetch, axios, XHR and URL strings are extracted with their methods', () => {
+  const endpoints = extractor.extract(`
+    fetch("/api/v1/users", { method: "POST" });
+    axios.get(\`/api/items/\${id}\`);
+    const xhr = new XMLHttpRequest();
+    xhr.open("DELETE", "/api/v1/sessions");
+    const base = "https://api.example.com/v2/me";
+  `);
+
+  assert.deepEqual(endpoints, [
+    { value: '/api/items/{id}', type: 'axios', method: 'GET' },
+    { value: '/api/v1/sessions', type: 'xhr', method: 'DELETE' },
+    { value: '/api/v1/users', type: 'fetch', method: 'POST' },
+    { value: 'https://api.example.com/v2/me', type: 'path', method: null }
+  ].sort((a, b) => a.value.localeCompare(b.value)));
+});
+
+test('scripts that do not parse fall back to regex scanning', () => {
+  assert.deepEqual(extractor.extract('fetch("/api/partial" +'), [{ value: '/api/partial', type: 'fetch', method: null }]);
+});
+
+test('compare reports added and removed endpoints', () => {
+  const changes = extractor.compare(
+    extractor.extract('fetch("/api/v1/users"); fetch("/api/v1/teams");'),
+    extractor.extract('fetch("/api/v1/users"); fetch("/api/v2/teams");')
+  );
+  assert.deepEqual(changes.added.map(e => e.value), ['/api/v2/teams']);
+  assert.deepEqual(changes.removed.map(e => e.value), ['/api/v1/teams']);
+});
+
+test('scans report endpoints added and removed between versions', async () => {
+  const site = await startSite({
+    '/': { type: 'text/html', body: '<html><script src="/app.js"></script></html>' },
+    '/app.js': { type: 'application/javascript', body: 'fetch("/api/v1/users");\n' }
+  });
+  const { dir, cleanup } = tempDataDir();
+  try {
+    const monitor = new UCMon({ dbPath: dir, notify: false, extractor: { mode: 'fetch' } });
+    const first = await monitor.scan(site.url);
+    site.files['/app.js'].body = 'fetch("/api/v1/users");\nfetch("/api/admin/export", { method: "POST" });\n';
+    const second = await monitor.scan(site.url);
+    monitor.close();
+
+    assert.deepEqual(first.endpoints.added.map(e => e.value), ['/api/v1/users']);
+    assert.deepEqual(second.endpoints.added.map(e => [e.value, e.method, e.script]), [['/api/admin/export', 'POST', 'app']]);
+    assert.deepEqual(second.endpoints.removed, []);
+  } finally {
+    cleanup();
+    await site.close();
+  }
+});
@@ -0,0 +1,77 @@
+/**
+ * Test helpers - a throwaway data directory and a local site to scan in fetch mode
+ */
+
+import http from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Fresh data directory; call the returned cleanup when done
+ */
+export function tempDataDir() {
+  const dir = mkdtempSync(join(tmpdir(), 'uc-mon-test-'));
+  return { dir, cleanup: () => rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Serve files from a { path: { type, body } } map (mutable between scans) on a free port
+ * Resolves { url, files, requests: [{ path, headers }], close }
+ */
+export function startSite(files) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ path: req.url, headers: req.headers });
+    const file = files[new URL(req.url, 'http://localhost').pathname];
+    if (!file) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': file.type }).end(file.body);
+  });
+  return listen(server, url => ({ url, files, requests }));
+}
+
+/**
+ * Forward HTTP proxy that records the URLs requested through it
+ * Resolves { url, requests, close }
+ */
+export function startProxy() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const upstream = http.get(req.url, { headers: req.headers }, (response) => {
+      res.writeHead(response.statusCode, response.headers);
+      response.pipe(res);
+    });
+    upstream.on('error', () => res.writeHead(502).end());
+  });
+  return listen(server, url => ({ url, requests }));
+}
+
+/**
+ * Webhook receiver that records POSTed bodies and answers with the given statuses in turn (then 200)
+ * Resolves { url, requests: [{ headers, body }], close }
+ */
+export function startReceiver(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() ?? 200).end();
+    });
+  });
+  return listen(server, url => ({ url, requests }));
+}
+
+function listen(server, describe) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ ...describe(url), close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
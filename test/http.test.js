@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { HttpClient, HttpRequestError } from '../src/http.js';
+import { startSite } from './helpers.js';
+
+const FILES = { '/': { type: 'text/plain', body: 'ok' } };
+
+test('a host waiting out its rate limit does not hold a concurrency slot', async () => {
+  const slow = await startSite(FILES);
+  const other = await startSite(FILES);
+  const client = new HttpClient({ concurrency: 1, rateLimit: 1 });
+  try {
+    await client.get(slow.url);
+    const throttled = client.get(slow.url); // Next slot for this host is a second away
+
+    const start = Date.now();
+    await client.get(other.url);
+    assert.ok(Date.now() - start < 500, `other host waited ${Date.now() - start} ms`);
+    await throttled;
+  } finally {
+    await Promise.all([slow.close(), other.close()]);
+  }
+});
+
+/**
+ * Server answering each request with the next of `responses` ({ status, headers }, or 'hang' to never answer)
+ */
+function startServer(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(Date.now());
+    const response = responses.shift() ?? { status: 200 };
+    if (response === 'hang') return;
+    res.writeHead(response.status, response.headers).end(String(response.status));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/`,
+      requests,
+      close: () => {
+        server.closeAllConnections();
+        return new Promise(done => server.close(done));
+      }
+    }));
+  });
+}
+
+test('429 and 5xx responses are retried with doubling delays', async () => {
+  const server = await startServer([{ status: 503 }, { status: 502 }]);
+  const client = new HttpClient({ rateLimit: 0, retries: 2, retryDelay: 100 });
+  try {
+    const response = await client.get(server.url);
+
+    assert.equal(response.status, 200);
+    assert.equal(server.requests.length, 3);
+    const [first, second, third] = server.requests;
+    assert.ok(second - first >= 90, `first retry after ${second - first} ms`);
+    assert.ok(third - second >= 190, `second retry after ${third - second} ms`);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the last response is returned once retries are used up, and other statuses are not retried', async () => {
+  const server = await startServer([{ status: 500 }, { status: 500 }, { status: 404 }]);
+  const client = new HttpClient({ rateLimit: 0, retries: 1, retryDelay: 10 });
+  try {
+    assert.equal((await client.get(server.url)).status, 500);
+    assert.equal(server.requests.length, 2);
+
+    assert.equal((await client.get(server.url)).status, 404);
+    assert.equal(server.requests.length, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+test('Retry-After holds back every request to the host', async () => {
+  const server = await startServer([{ status: 429, headers: { 'Retry-After': '1' } }]);
+  const client = new HttpClient({ rateLimit: 0, retries: 1, retryDelay: 10 });
+  try {
+    const start = Date.now();
+    const retried = client.get(server.url);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const other = client.get(server.url); // Sent while the first one waits out the Retry-After
+
+    assert.equal((await retried).status, 200);
+    assert.equal((await other).status, 200);
+    assert.ok(server.requests.slice(1).every(at => at - start >= 950), 'a request went out before Retry-After passed');
+  } finally {
+    await server.close();
+  }
+});
+
+test('timeouts are not retried; network errors are', async () => {
+  const server = await startServer(['hang']);
+  const client = new HttpClient({ rateLimit: 0, retries: 2, retryDelay: 10, timeout: 200 });
+  try {
+    await assert.rejects(client.get(server.url), (error) => {
+      assert.ok(error instanceof HttpRequestError);
+      assert.match(error.message, /Timed out after 200 ms/);
+      assert.equal(error.attempts, 1);
+      return true;
+    });
+    assert.equal(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+
+  // The server is gone, so connections are refused
+  await assert.rejects(client.get(server.url), (error) => {
+    assert.match(error.message, /ECONNREFUSED/);
+    assert.equal(error.attempts, 3);
+    assert.equal(error.url, server.url);
+    return true;
+  });
+});
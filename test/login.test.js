@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { LoginFlow } from '../src/login.js';
+import { tempDataDir } from './helpers.js';
+
+// RFC 6238 appendix B, SHA-1: seed "12345678901234567890" in base32, 8 digits
+const RFC_SEED = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('TOTP codes match the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(LoginFlow.generateTotp(RFC_SEED, { time: seconds * 1000, digits: 8 }), code);
+  }
+  assert.equal(LoginFlow.generateTotp('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq', { time: 59000 }), '287082');
+  assert.throws(() => LoginFlow.generateTotp('not base32!'), /Invalid base32 character/);
+});
+
+test('recipes are validated step by step', () => {
+  assert.throws(() => new LoginFlow({ steps: [] }), /non-empty "steps"/);
+  assert.throws(() => new LoginFlow({ steps: [{ action: 'hover', selector: '#x' }] }), /step 1: unknown action "hover"/);
+  assert.throws(() => new LoginFlow({ steps: [{ action: 'goto', url: '/login' }, { action: 'fill', selector: '#user' }] }),
+    /step 2 \(fill\) is missing "value"/);
+
+  const { dir, cleanup } = tempDataDir();
+  try {
+    const path = join(dir, 'login.json');
+    writeFileSync(path, '{ "steps": ');
+    assert.throws(() => LoginFlow.load(path), /Invalid login recipe/);
+  } finally {
+    cleanup();
+  }
+});
+
+test('the login page is detected by pattern or login URL', () => {
+  const byUrl = new LoginFlow({ loginUrl: 'https://app.example.com/login', steps: [{ action: 'goto', url: 'https://app.example.com/login' }] });
+  assert.equal(byUrl.isLoginPage('https://app.example.com/login?next=/admin'), true);
+  assert.equal(byUrl.isLoginPage('https://app.example.com/admin'), false);
+
+  const byPattern = new LoginFlow({ detect: '/\\/(sign-?in|sso)\\b/i', steps: [{ action: 'wait', ms: 1 }] });
+  assert.equal(byPattern.isLoginPage('https://id.example.com/SSO/start'), true);
+  assert.equal(byPattern.isLoginPage('https://app.example.com/dashboard'), false);
+});
+
+test('steps run in order with environment values and a generated TOTP', async () => {
+  const calls = [];
+  const page = {
+    goto: async url => calls.push(['goto', url]),
+    waitForSelector: async () => {},
+    $eval: async () => {},
+    type: async (selector, text) => calls.push(['type', selector, text]),
+    click: async selector => calls.push(['click', selector]),
+    keyboard: { press: async key => calls.push(['press', key]) }
+  };
+  const flow = new LoginFlow({
+    steps: [
+      { action: 'goto', url: 'https://app.example.com/login' },
+      { action: 'fill', selector: '#password', value: '${env:UC_MON_TEST_PASSWORD}' },
+      { action: 'totp', selector: '#otp', secret: RFC_SEED },
+      { action: 'click', selector: 'button[type=submit]' },
+      { action: 'press', key: 'Enter' }
+    ]
+  });
+
+  process.env.UC_MON_TEST_PASSWORD = 'hunter2';
+  try {
+    await flow.run(page);
+  } finally {
+    delete process.env.UC_MON_TEST_PASSWORD;
+  }
+
+  assert.deepEqual(calls.map(call => call.slice(0, 2)), [
+    ['goto', 'https://app.example.com/login'],
+    ['type', '#password'],
+    ['type', '#otp'],
+    ['click', 'button[type=submit]'],
+    ['press', 'Enter']
+  ]);
+  assert.equal(calls[1][2], 'hunter2');
+  assert.match(calls[2][2], /^\d{6}$/);
+  await assert.rejects(() => flow.run(page), /unset environment variable UC_MON_TEST_PASSWORD/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModuleSplitter } from '../src/modules.js';
+import { UCMon } from '../src/index.js';
+import { tempDataDir, startSite } from './helpers.js';
+
+const splitter = new ModuleSplitter();
+const paths = (content, map) => splitter.split(content, map).map(m => [m.id, m.path]);
+
+const chunk = (modules) => `(self.webpackChunk = self.webpackChunk || []).push([[1], {\n${modules.join(',\n')}\n}]);\n`;
+
+test('JSONP chunks are split by module id, named by pathinfo comments', () => {
+  const content = chunk([
+    '/***/ 123:\n/*!*******************!*\\\n  !*** ./src/api.js ***!\n  \\*******************/\n/***/ ((e, t, n) => { n(4); })',
+    '/***/ 456:\n/*! ./src/util.js */\n/***/ (function () { return 1; })',
+    '789: () => {}'
+  ]);
+
+  assert.deepEqual(paths(content), [['123', 'src/api.js'], ['456', 'src/util.js'], ['789', 'id:789']]);
+  assert.equal(splitter.split(content)[2].content, '() => {}\n');
+});
+
+test('webpack 5 runtimes use path keys and webpack 4 bootstraps use array indices', () => {
+  const runtime = 'var __webpack_modules__ = ({ "./src/a.js": (m) => {}, "./src/b.ts": (m) => {} });';
+  assert.deepEqual(paths(runtime), [['./src/a.js', 'src/a.js'], ['./src/b.ts', 'src/b.ts']]);
+
+  const bootstrap = '(function (modules) { return modules[0](); })([function () {}, , function () {}]);';
+  assert.deepEqual(paths(bootstrap), [['0', 'id:0'], ['2', 'id:2']]);
+});
+
+test('modules are named by their source map file when nothing else names them', () => {
+  const content = chunk(['1: function () { a(); }', '2: function () { b(); }']);
+  const map = JSON.stringify({ version: 3, sources: ['webpack://app/./src/a.js', 'webpack://app/./src/b.js'], names: [], mappings: ';GAAA;GCAA' });
+
+  assert.deepEqual(paths(content, map), [['1', 'src/a.js'], ['2', 'src/b.js']]);
+});
+
+test('a path registered twice is numbered', () => {
+  const content = chunk(['"./src/a.js": () => {}']) + chunk(['"./src/a.js": () => {}']);
+  assert.deepEqual(paths(content).map(([, path]) => path), ['src/a.js', 'src/a.js (2)']);
+});
+
+test('scripts that are not webpack bundles have no modules', () => {
+  assert.deepEqual(splitter.split('function a() {}\nvar b = { c: function () {} };'), []);
+  assert.deepEqual(splitter.split('not javascript ('), []);
+});
+
+test('scans store modules and report new, updated and removed ones', async () => {
+  const site = await startSite({
+    '/': { type: 'text/html', body: '<html><script src="/app.js"></script></html>' },
+    '/app.js': { type: 'application/javascript', body: chunk(['"./src/a.js": () => { a(); }', '"./src/b.js": () => { b(); }']) }
+  });
+  const { dir, cleanup } = tempDataDir();
+  try {
+    const monitor = new UCMon({ dbPath: dir, notify: false, extractor: { mode: 'fetch' } });
+    const first = await monitor.scan(site.url);
+    site.files['/app.js'].body = chunk(['"./src/a.js": () => { a(2); }', '"./src/c.js": () => { c(); }']);
+    const second = await monitor.scan(site.url);
+
+    assert.deepEqual(first.scripts[0].modules.new, ['src/a.js', 'src/b.js']);
+    const { modules } = second.scripts[0];
+    assert.deepEqual(modules.new, ['src/c.js']);
+    assert.deepEqual(modules.removed, ['src/b.js']);
+    assert.deepEqual(modules.updated.map(m => [m.path, m.stats.additions, m.stats.deletions]), [['src/a.js', 1, 1]]);
+
+    const script = monitor.storage.findScript(monitor.storage.getTarget('127.0.0.1').id, second.scripts[0].identifier);
+    assert.deepEqual(monitor.getModules(script.id).map(m => m.path).sort(), ['src/a.js', 'src/b.js', 'src/c.js']);
+    assert.equal(monitor.findModule(script.id, 'src/c.js').path, 'src/c.js');
+    monitor.close();
+  } finally {
+    cleanup();
+    await site.close();
+  }
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UCMon } from '../src/index.js';
+import { ProxyPool } from '../src/proxy.js';
+import { tempDataDir, startSite, startProxy } from './helpers.js';
+
+const SITE = {
+  '/': { type: 'text/html', body: '<html><script src="/app.js"></script></html>' },
+  '/app.js': { type: 'application/javascript', body: 'console.log("app");' }
+};
+
+/**
+ * Scan the way the monitor command does: a new UCMon per interval sharing one ProxyPool
+ */
+async function monitorScans(url, proxies, count) {
+  const { dir, cleanup } = tempDataDir();
+  const results = [];
+  try {
+    for (let i = 0; i < count; i++) {
+      const monitor = new UCMon({ dbPath: dir, notify: false, extractor: { mode: 'fetch', proxy: proxies } });
+      results.push(await monitor.scan(url));
+      monitor.close();
+    }
+  } finally {
+    cleanup();
+  }
+  return results;
+}
+
+test('monitor scans without a proxy', async () => {
+  const site = await startSite(SITE);
+  try {
+    const results = await monitorScans(site.url, new ProxyPool([]), 2);
+    assert.equal(results[0].stats.totalScripts, 1);
+    assert.equal(results[0].proxy, null);
+    assert.equal(results[1].stats.totalScripts, 1);
+    assert.equal(results[1].changes.length, 0);
+  } finally {
+    await site.close();
+  }
+});
+
+test('monitor scans rotate through a shared proxy pool', async () => {
+  const site = await startSite(SITE);
+  const first = await startProxy();
+  const second = await startProxy();
+  try {
+    const results = await monitorScans(site.url, new ProxyPool([first.url, second.url]), 3);
+    assert.deepEqual(results.map(r => r.proxy), [first.url, second.url, first.url]);
+    assert.ok(first.requests.includes(`${site.url}/app.js`));
+    assert.ok(second.requests.includes(`${site.url}/app.js`));
+  } finally {
+    await Promise.all([site.close(), first.close(), second.close()]);
+  }
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FilenameNormalizer } from '../src/normalizer.js';
+import { UCMon } from '../src/index.js';
+import { tempDataDir, startSite } from './helpers.js';
+
+test('built-in patterns fold hashes, versions and chunk ids', () => {
+  const normalizer = new FilenameNormalizer();
+  const info = normalizer.normalize('https://a.example/js/main.3f9a1c2e.js');
+
+  assert.equal(info.normalized, 'https://a.example/js/main.[hash].js');
+  assert.deepEqual(info.rules, ['hash']);
+  assert.equal(normalizer.normalize('https://a.example/js/main.77e0b1d4.js').identifier, info.identifier);
+  assert.equal(normalizer.normalize('https://a.example/lib/v1.2.3/x.js').normalized, 'https://a.example/lib/[version]/x.js');
+  assert.equal(normalizer.normalize('https://a.example/chunk-42.js').normalized, 'https://a.example/chunk.[id].js');
+});
+
+test('disabled built-ins leave their part of the URL alone', () => {
+  const normalizer = new FilenameNormalizer({ disable: ['hash'] });
+  assert.equal(normalizer.normalize('https://a.example/js/deadbeefcafe.js').normalized, 'https://a.example/js/deadbeefcafe.js');
+});
+
+test('a replaced built-in keeps its name and position', () => {
+  const normalizer = new FilenameNormalizer({ replace: { 'numbered-chunk': { regex: '/(\\d+)\\.chunk\\.js$', replacement: '/[chunk].chunk.js' } } });
+  const info = normalizer.normalize('https://a.example/12.chunk.js');
+
+  assert.equal(info.normalized, 'https://a.example/[chunk].chunk.js');
+  assert.deepEqual(info.rules, ['numbered-chunk']);
+  assert.equal(normalizer.normalize('https://a.example/12.js').normalized, 'https://a.example/12.js');
+});
+
+test('custom patterns run before the built-ins', () => {
+  const normalizer = new FilenameNormalizer({ patterns: [{ name: 'release', regex: 'release-\\w+', replacement: 'release' }] });
+  const info = normalizer.normalize('https://a.example/release-2024a/main.js');
+
+  assert.equal(info.normalized, 'https://a.example/release/main.js');
+  assert.deepEqual(info.rules, ['release']);
+});
+
+test('invalid rules are rejected', () => {
+  assert.throws(() => new FilenameNormalizer({ disable: ['nope'] }), /Unknown built-in normalizer pattern "nope"/);
+  assert.throws(() => new FilenameNormalizer({ replace: { hash: { regex: '(' , replacement: '' } } }), /not a valid regex/);
+  assert.throws(() => FilenameNormalizer.validate({ disable: 'hash' }), /"disable" must be a list/);
+  assert.throws(() => FilenameNormalizer.validate({ patterns: [{ regex: 'x' }] }), /needs "regex" and "replacement"/);
+  assert.throws(() => FilenameNormalizer.validate([]), /must be an object/);
+});
+
+test('renormalize merges scripts whose URLs now share an identifier, and splits them again', async () => {
+  const page = (src) => ({ type: 'text/html', body: `<html><script src="${src}"></script></html>` });
+  const site = await startSite({
+    '/': page('/app.aaaaaaaa.js'),
+    '/app.aaaaaaaa.js': { type: 'application/javascript', body: 'one();\n' },
+    '/app.bbbbbbbb.js': { type: 'application/javascript', body: 'two();\n' }
+  });
+  const { dir, cleanup } = tempDataDir();
+  try {
+    const monitor = new UCMon({ dbPath: dir, notify: false, extractor: { mode: 'fetch' } });
+    monitor.storage.setTargetNormalizer('127.0.0.1', { disable: ['hash', 'contenthash'] });
+    await monitor.scan(site.url);
+    site.files['/'] = page('/app.bbbbbbbb.js');
+    await monitor.scan(site.url);
+
+    const target = monitor.storage.getTarget('127.0.0.1');
+    assert.equal(monitor.storage.getTargetScripts(target.id).length, 2);
+
+    monitor.storage.setTargetNormalizer('127.0.0.1', null);
+    const planned = monitor.renormalize('127.0.0.1', { dryRun: true });
+    assert.equal(planned.dryRun, true);
+    assert.deepEqual(planned.changes.map(c => [c.type, c.identifier, c.versions]), [['merged', `${site.url}/app.js`, 2]]);
+    assert.equal(monitor.storage.getTargetScripts(target.id).length, 2);
+
+    monitor.renormalize('127.0.0.1');
+    const [merged] = monitor.storage.getTargetScripts(target.id);
+    assert.equal(monitor.storage.getTargetScripts(target.id).length, 1);
+    assert.equal(monitor.storage.getScriptVersions(merged.id).length, 2);
+
+    monitor.storage.setTargetNormalizer('127.0.0.1', { disable: ['hash', 'contenthash'] });
+    const split = monitor.renormalize('127.0.0.1');
+    assert.deepEqual(split.changes.map(c => c.type).sort(), ['renamed', 'split']);
+    assert.equal(monitor.storage.getTargetScripts(target.id).length, 2);
+
+    assert.equal(monitor.renormalize('unknown.example'), null);
+    monitor.close();
+  } finally {
+    cleanup();
+    await site.close();
+  }
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { Notifications } from '../src/notifiers.js';
+import { startReceiver, tempDataDir } from './helpers.js';
+
+const message = { kind: 'test', target: 'a.example', url: 'https://a.example', scanId: 7 };
+
+async function withReceiver(statuses, fn) {
+  const { dir, cleanup } = tempDataDir();
+  const receiver = await startReceiver(statuses);
+  const logFile = join(dir, 'notifications.log');
+  try {
+    await fn(receiver, logFile, () => readFileSync(logFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line)));
+  } finally {
+    await receiver.close();
+    cleanup();
+  }
+}
+
+test('signed webhooks carry an HMAC-SHA256 of the body', async () => {
+  await withReceiver([], async (receiver) => {
+    const notifications = new Notifications();
+    const channel = { type: 'webhook', url: receiver.url, secret: 's3cret', headers: { 'X-Extra': '1' } };
+
+    assert.deepEqual(await notifications.send([channel], message), { delivered: 1, failed: 0 });
+
+    const [{ headers, body }] = receiver.requests;
+    const expected = createHmac('sha256', 's3cret').update(body).digest('hex');
+    assert.equal(headers['x-uc-mon-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-extra'], '1');
+    assert.equal(JSON.parse(body).target, 'a.example');
+    assert.equal(Notifications.describe(channel), `webhook (${new URL(receiver.url).host}, signed)`);
+  });
+});
+
+test('unsigned webhooks have no signature header', async () => {
+  await withReceiver([], async (receiver) => {
+    await new Notifications().send([{ type: 'webhook', url: receiver.url }], message);
+    assert.equal(receiver.requests[0].headers['x-uc-mon-signature'], undefined);
+  });
+});
+
+test('429 and 5xx responses are retried', async () => {
+  await withReceiver([503, 429], async (receiver, logFile, readLog) => {
+    const notifications = new Notifications({ logFile, retries: 3, retryDelay: 10 });
+
+    assert.deepEqual(await notifications.send([{ type: 'webhook', url: receiver.url }], message), { delivered: 1, failed: 0 });
+    assert.equal(receiver.requests.length, 3);
+    assert.deepEqual(readLog().map(e => [e.status, e.attempt]), [['retrying', 1], ['retrying', 2], ['delivered', 3]]);
+    assert.equal(readLog()[0].error, 'HTTP 503');
+    assert.equal(readLog()[0].scanId, 7);
+  });
+});
+
+test('other 4xx responses fail without a retry', async () => {
+  await withReceiver([404], async (receiver, logFile, readLog) => {
+    const notifications = new Notifications({ logFile, retries: 3, retryDelay: 10 });
+
+    assert.deepEqual(await notifications.send([{ type: 'webhook', url: receiver.url }], message), { delivered: 0, failed: 1 });
+    assert.equal(receiver.requests.length, 1);
+    assert.deepEqual(readLog().map(e => [e.status, e.attempt]), [['failed', 1]]);
+  });
+});
+
+test('retries stop after the configured number of attempts', async () => {
+  await withReceiver([500, 500, 500], async (receiver, logFile, readLog) => {
+    const notifications = new Notifications({ logFile, retries: 2, retryDelay: 10 });
+
+    assert.deepEqual(await notifications.send([{ type: 'webhook', url: receiver.url }], message), { delivered: 0, failed: 1 });
+    assert.equal(receiver.requests.length, 3);
+    assert.deepEqual(readLog().map(e => e.status), ['retrying', 'retrying', 'failed']);
+  });
+});
+
+test('invalid channels are logged as failed without being sent', async () => {
+  await withReceiver([], async (receiver, logFile, readLog) => {
+    const notifications = new Notifications({ logFile });
+
+    assert.deepEqual(await notifications.send([{ type: 'webhook' }, { type: 'pager' }], message), { delivered: 0, failed: 2 });
+    assert.deepEqual(readLog().map(e => [e.status, e.attempt, e.error]), [
+      ['failed', 0, 'webhook channel needs "url"'],
+      ['failed', 0, 'Unknown notification channel type "pager" (use discord, slack, telegram, webhook, email)']
+    ]);
+  });
+});
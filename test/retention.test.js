@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Storage } from '../src/storage.js';
+import { tempDataDir } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const info = { identifier: 'app.js', normalized: 'https://a.example/app.js', filename: 'app.js' };
+
+/**
+ * Storage with one target whose app.js got a new version in each of six scans; the third version is flagged
+ */
+function withHistory(fn) {
+  const { dir, cleanup } = tempDataDir();
+  const storage = new Storage(dir);
+  try {
+    const target = storage.getOrCreateTarget('a.example');
+    const stored = [];
+    for (let i = 1; i <= 6; i++) {
+      const content = `version(${i});\n`;
+      const scanId = storage.createScan(target.id, 'https://a.example', 1, content.length);
+      stored.push(storage.storeScript(target.id, scanId, { url: 'https://a.example/app.js', content, size: content.length }, info));
+    }
+    storage.flagVersion(stored[2].versionId, 'secrets');
+    fn(storage, stored);
+  } finally {
+    storage.close();
+    cleanup();
+  }
+}
+
+const versionNumbers = (storage, stored) =>
+  storage.getScriptVersions(stored[0].scriptId).map(v => stored.findIndex(s => s.versionId === v.id) + 1).sort();
+
+test('keepLast keeps the latest versions, the first one and flagged ones', () => {
+  withHistory((storage, stored) => {
+    storage.setRetention(null, { keepLast: 2 });
+
+    const dryRun = storage.prune({ dryRun: true });
+    assert.equal(dryRun.versions, 2);
+    assert.equal(dryRun.scans, 2);
+    assert.deepEqual(versionNumbers(storage, stored), [1, 2, 3, 4, 5, 6]);
+
+    const result = storage.prune();
+    assert.deepEqual([result.versions, result.scans, result.files], [2, 2, 2]);
+    assert.deepEqual(versionNumbers(storage, stored), [1, 3, 5, 6]);
+    assert.equal(storage.blobs.has(storage.hashContent('version(2);\n')), false);
+  });
+});
+
+test('keepDays removes old versions and a target policy overrides the global one', () => {
+  withHistory((storage, stored) => {
+    storage.setRetention(null, { keepDays: 7 });
+    assert.equal(storage.prune({ now: Date.now() + DAY }).versions, 0);
+
+    storage.setRetention('a.example', { keepDays: 30 });
+    assert.deepEqual(storage.getRetention('a.example'), { keepDays: 30 });
+    assert.equal(storage.prune({ now: Date.now() + 10 * DAY }).versions, 0);
+
+    storage.setRetention('a.example', null);
+    assert.equal(storage.prune({ now: Date.now() + 10 * DAY }).versions, 3);
+    assert.deepEqual(versionNumbers(storage, stored), [1, 3, 6]);
+  });
+});
+
+test('nothing is pruned without a policy', () => {
+  withHistory((storage) => {
+    assert.deepEqual([storage.prune().versions, storage.prune().scans], [0, 0]);
+  });
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Router, HttpError } from '../src/router.js';
+
+const router = new Router().get('/api/targets/:domain', () => {});
+
+test('route params are percent-decoded', () => {
+  assert.deepEqual(router.match('GET', '/api/targets/a%2Eexample.com').params, { domain: 'a.example.com' });
+});
+
+test('malformed percent-encoding is a 400', () => {
+  assert.throws(() => router.match('GET', '/api/targets/%E0%A4%A'),
+    error => error instanceof HttpError && error.status === 400 && error.message === 'Malformed URL');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UCMon } from '../src/index.js';
+import { tempDataDir, startSite } from './helpers.js';
+
+/**
+ * Scan app.js, swap in a cosmetic update and scan again; resolves app.js's result from the second scan
+ */
+async function scanCosmeticUpdate(options) {
+  const site = await startSite({
+    '/': { type: 'text/html', body: '<html><script src="/app.js"></script></html>' },
+    '/app.js': { type: 'application/javascript', body: 'function run(){var a=1;return a+2}\n' }
+  });
+  const { dir, cleanup } = tempDataDir();
+  try {
+    const monitor = new UCMon({ dbPath: dir, notify: false, extractor: { mode: 'fetch' }, ...options });
+    await monitor.scan(site.url);
+    site.files['/app.js'].body = 'function run(){var b=1;return b+2}\n';
+    const results = await monitor.scan(site.url);
+    monitor.close();
+    return results.scripts.find(s => s.url.endsWith('/app.js'));
+  } finally {
+    cleanup();
+    await site.close();
+  }
+}
+
+test('cosmetic updates are not notified by default', async () => {
+  const script = await scanCosmeticUpdate({ rules: [{ name: 'everything', match: {}, severity: 'high' }] });
+  assert.equal(script.cosmetic, true);
+  assert.equal(script.notification.notify, false);
+  assert.equal(script.notification.rule, null);
+});
+
+test('a rule with the cosmetic key matches cosmetic updates', async () => {
+  const script = await scanCosmeticUpdate({
+    rules: [
+      { name: 'build-noise', match: { cosmetic: true }, severity: 'low' },
+      { name: 'everything', match: {}, severity: 'high' }
+    ]
+  });
+  assert.equal(script.cosmetic, true);
+  assert.deepEqual(script.notification, { rule: 'build-noise', notify: true, severity: 'low', channels: null });
+});
+
+test('with includeCosmetic any rule matches cosmetic updates', async () => {
+  const script = await scanCosmeticUpdate({
+    includeCosmetic: true,
+    rules: [{ name: 'everything', match: {}, severity: 'high' }]
+  });
+  assert.equal(script.notification.rule, 'everything');
+  assert.equal(script.notification.notify, true);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UCMon } from '../src/index.js';
+import { tempDataDir, startSite } from './helpers.js';
+
+test('scan stats count inline scripts with the external ones', async () => {
+  const site = await startSite({
+    '/': {
+      type: 'text/html',
+      body: '<html><script src="/app.js"></script><script>window.__STATE__ = {};</script></html>'
+    },
+    '/app.js': { type: 'application/javascript', body: 'console.log("app");' }
+  });
+  const { dir, cleanup } = tempDataDir();
+  try {
+    const monitor = new UCMon({ dbPath: dir, notify: false, extractor: { mode: 'fetch' } });
+    const results = await monitor.scan(site.url);
+    monitor.close();
+
+    assert.equal(results.scripts.length, 2);
+    assert.equal(results.stats.totalScripts, 2);
+    assert.equal(results.stats.inlineCount, 1);
+  } finally {
+    cleanup();
+    await site.close();
+  }
+});
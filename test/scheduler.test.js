@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { once } from 'events';
+import { Scheduler } from '../src/scheduler.js';
+import { startSite, tempDataDir } from './helpers.js';
+
+const page = { type: 'text/html', body: '<html><script src="/app.js"></script></html>' };
+const script = { type: 'application/javascript', body: 'console.log("app");\n' };
+
+/**
+ * Scheduler over a config file in a fresh data directory, with a local site for its targets to scan
+ */
+async function withScheduler(options, fn) {
+  const { dir, cleanup } = tempDataDir();
+  const site = await startSite({ '/': page, '/other': page, '/app.js': script });
+  const configPath = join(dir, 'targets.json');
+  const writeConfig = (config) => writeFileSync(configPath, JSON.stringify(config));
+  const target = (name, path = '/') => ({ name, url: `${site.url}${path}`, mode: 'fetch' });
+
+  const scheduler = new Scheduler(configPath, { dbPath: dir, notify: false, ...options });
+  try {
+    await fn({ scheduler, writeConfig, target });
+  } finally {
+    await scheduler.stop();
+    scheduler.close();
+    await site.close();
+    cleanup();
+  }
+}
+
+/**
+ * Resolve once every named target has finished a run
+ */
+function allDone(scheduler, names) {
+  const pending = new Set(names);
+  return new Promise((resolve) => {
+    scheduler.on('done', ({ target }) => {
+      pending.delete(target);
+      if (pending.size === 0) resolve();
+    });
+  });
+}
+
+test('reload adds, removes and updates targets', async () => {
+  await withScheduler({}, async ({ scheduler, writeConfig, target }) => {
+    writeConfig({ targets: [target('a'), target('b')] });
+    const done = allDone(scheduler, ['a', 'b']);
+    scheduler.start();
+    await done;
+
+    writeConfig({ targets: [target('a', '/other'), target('c')] });
+    const reloaded = once(scheduler, 'reload');
+    scheduler.reload();
+    const [summary] = await reloaded;
+
+    assert.deepEqual(summary, { added: ['c'], removed: ['b'], changed: ['a'] });
+    const status = scheduler.status();
+    assert.deepEqual(status.map(s => s.name).sort(), ['a', 'c']);
+    assert.ok(status.find(s => s.name === 'a').urls[0].endsWith('/other'));
+  });
+});
+
+test('a broken config keeps the current one running', async () => {
+  await withScheduler({}, async ({ scheduler, writeConfig, target }) => {
+    writeConfig({ targets: [target('a')] });
+    const done = allDone(scheduler, ['a']);
+    scheduler.start();
+    await done;
+
+    writeFileSync(scheduler.configPath, '{ "targets": [');
+    const errored = once(scheduler, 'error');
+    scheduler.reload();
+    const [error] = await errored;
+    assert.match(error.message, /Invalid config file/);
+
+    writeConfig({ targets: [target('a'), target('a')] });
+    const erroredAgain = once(scheduler, 'error');
+    scheduler.reload();
+    const [duplicate] = await erroredAgain;
+    assert.match(duplicate.message, /duplicate target name "a"/);
+
+    assert.deepEqual(scheduler.status().map(s => s.name), ['a']);
+  });
+});
+
+test('no more targets scan at once than the concurrency limit', async () => {
+  for (const concurrency of [1, 2]) {
+    await withScheduler({ concurrency }, async ({ scheduler, writeConfig, target }) => {
+      let active = 0;
+      let peak = 0;
+      scheduler.on('scan', () => { active++; peak = Math.max(peak, active); });
+      scheduler.on('done', () => { active--; });
+
+      writeConfig({ targets: [target('a'), target('b'), target('c')] });
+      const done = allDone(scheduler, ['a', 'b', 'c']);
+      scheduler.start();
+      await done;
+
+      assert.equal(peak, concurrency);
+    });
+  }
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SemanticDiffer } from '../src/semantic.js';
+
+const differ = new SemanticDiffer();
+const units = (content) => Array.from(differ.extract(content).keys());
+
+test('extracts functions, classes and object keys', () => {
+  const content = `
+    function init() {}
+    export class Api {}
+    const config = { apiUrl: '/v1', 'retry-count': 3, [dynamic]: 1 };
+    module.exports.handler = () => {};
+    a = function () {}, b = class {};
+    export default function () {}
+    function init() {}
+  `;
+
+  assert.deepEqual(units(content), [
+    'function:init',
+    'class:Api',
+    'key:config.apiUrl',
+    'key:config.retry-count',
+    'function:module.exports.handler',
+    'function:a',
+    'class:b',
+    'function:default',
+    'function:init#2'
+  ]);
+});
+
+test('looks inside a bundle-wide IIFE', () => {
+  assert.deepEqual(units('!function () { function inner() {} var x = { y: 1 }; }();'), ['function:inner', 'key:x.y']);
+  assert.deepEqual(units('(function () { class Inner {} })();'), ['class:Inner']);
+});
+
+test('extracts webpack modules by id', () => {
+  const bundle = '(self.webpackChunk = self.webpackChunk || []).push([[1], { 123: (e, t, n) => { n(4); }, "./src/a.js": function () {} }]);';
+  assert.deepEqual(units(bundle), ['module:123', 'module:./src/a.js']);
+});
+
+test('diff reports added, removed and modified units', async () => {
+  const before = 'function keep() { return 1; }\nfunction gone() {}\nfunction change(a) {\n  return a + 1;\n}\n';
+  const after = 'function keep() {\n  return 1;\n}\nfunction change(a) {\n  return a + 2;\n}\nclass Fresh {}\n';
+
+  const result = await differ.diff(before, after);
+
+  assert.equal(result.parsed, true);
+  assert.deepEqual(result.added, [{ kind: 'class', name: 'Fresh', lines: 1 }]);
+  assert.deepEqual(result.removed, [{ kind: 'function', name: 'gone', lines: 1 }]);
+  assert.deepEqual(result.modified, [{
+    kind: 'function',
+    name: 'change',
+    additions: 1,
+    deletions: 1,
+    changes: [{ type: 'remove', content: '  return a + 1;' }, { type: 'add', content: '  return a + 2;' }]
+  }]);
+  assert.deepEqual(result.stats, { added: 1, removed: 1, modified: 1, unchanged: 1 });
+});
+
+test('modified units beyond maxUnits get no body diff', async () => {
+  const limited = new SemanticDiffer({ maxUnits: 1 });
+  const result = await limited.diff('function a() { 1 }\nfunction b() { 1 }', 'function a() { 2 }\nfunction b() { 2 }');
+
+  assert.equal(result.modified[0].additions, 1);
+  assert.deepEqual(result.modified[1], { kind: 'function', name: 'b', additions: null, deletions: null, changes: [] });
+});
+
+test('unparseable versions give an empty diff', async () => {
+  const result = await differ.diff('function a() {}', 'function (');
+
+  assert.equal(result.parsed, false);
+  assert.deepEqual(result.stats, { added: 0, removed: 0, modified: 0, unchanged: 0 });
+  assert.equal(differ.extract('function ('), null);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimilarityMatcher } from '../src/similarity.js';
+import { UCMon } from '../src/index.js';
+import { tempDataDir, startSite } from './helpers.js';
+
+/**
+ * A script of roughly n statements; `name` is the helper identifier a minifier would rename
+ */
+function bundle(n, { name = 'request', extra = '' } = {}) {
+  const lines = [`function ${name}(url, options) { return fetch(url, options).then(r => r.json()); }`];
+  for (let i = 0; i < n; i++) {
+    lines.push(`export const load${i} = () => ${name}("/api/v1/resource${i}", { method: "GET", retries: ${i % 3} });`);
+  }
+  return lines.join('\n') + extra + '\n';
+}
+
+const unrelated = Array.from({ length: 40 }, (_, i) => `class Widget${i} extends Base { render() { return this.props.items.map(x => x * ${i}); } }`).join('\n');
+
+test('tiny scripts have no signature', () => {
+  const matcher = new SimilarityMatcher();
+  assert.equal(matcher.signature('a();'), null);
+  assert.equal(matcher.signature(bundle(10)).length, 128);
+});
+
+test('minifier renames of short identifiers do not count as differences', () => {
+  const matcher = new SimilarityMatcher();
+  assert.equal(matcher.compare(matcher.signature(bundle(30, { name: 'a' })), matcher.signature(bundle(30, { name: 'b' }))), 1);
+  assert.ok(matcher.compare(matcher.signature(bundle(30, { name: 'request' })), matcher.signature(bundle(30, { name: 'fetchJson' }))) < 1);
+});
+
+test('similar scripts score high and unrelated ones low', () => {
+  const matcher = new SimilarityMatcher();
+  const base = matcher.signature(bundle(40));
+
+  assert.ok(matcher.compare(base, matcher.signature(bundle(40, { extra: '\nload3();' }))) >= 0.9);
+  assert.ok(matcher.compare(base, matcher.signature(unrelated)) < 0.2);
+});
+
+test('bestMatch picks the closest candidate above the threshold and reads each candidate once', () => {
+  const matcher = new SimilarityMatcher({ threshold: 0.8 });
+  const reads = [];
+  const candidate = (name, content) => ({ name, size: content.length, content: () => { reads.push(name); return content; } });
+  const candidates = [
+    candidate('unrelated', unrelated),
+    candidate('older', bundle(36)),
+    candidate('previous', bundle(40)),
+    candidate('tiny', 'a();')
+  ];
+  const script = bundle(40, { extra: '\nload3();' });
+
+  assert.equal(matcher.bestMatch(script, candidates).candidate.name, 'previous');
+  matcher.bestMatch(script, candidates);
+  // "tiny" is never read: its size rules it out
+  assert.deepEqual(reads, ['unrelated', 'older', 'previous']);
+
+  assert.equal(matcher.bestMatch(bundle(40), [candidate('unrelated', unrelated)]), null);
+});
+
+test('a script under a new name is linked to the one it replaces', async () => {
+  const page = (src) => ({ type: 'text/html', body: `<html><script src="${src}"></script></html>` });
+  const site = await startSite({
+    '/': page('/app.js'),
+    '/app.js': { type: 'application/javascript', body: bundle(40) },
+    '/main-bundle.js': { type: 'application/javascript', body: bundle(40, { extra: '\nload3();' }) }
+  });
+  const { dir, cleanup } = tempDataDir();
+  try {
+    const monitor = new UCMon({ dbPath: dir, notify: false, extractor: { mode: 'fetch' } });
+    await monitor.scan(site.url);
+    site.files['/'] = page('/main-bundle.js');
+    const renamed = await monitor.scan(site.url);
+
+    const [script] = renamed.scripts;
+    assert.equal(script.isNew, false);
+    assert.equal(script.hasNewVersion, true);
+    assert.equal(script.renamedFrom.url, `${site.url}/app.js`);
+    assert.ok(script.renamedFrom.score >= 0.8);
+
+    // Disabled rename matching treats it as a new script
+    monitor.close();
+    const strict = new UCMon({ dbPath: dir, notify: false, extractor: { mode: 'fetch' }, renameThreshold: false });
+    site.files['/'] = page('/app.js');
+    const back = await strict.scan(site.url);
+    assert.equal(back.scripts[0].isNew, true);
+    assert.equal(back.scripts[0].renamedFrom, undefined);
+    strict.close();
+  } finally {
+    cleanup();
+    await site.close();
+  }
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSExtractor } from '../src/extractor.js';
+import { SourceMapUnpacker } from '../src/sourcemap.js';
+import { UCMon } from '../src/index.js';
+import { tempDataDir, startSite } from './helpers.js';
+
+const unpacker = new SourceMapUnpacker();
+
+const sourceMap = (sources, sourcesContent) => JSON.stringify({ version: 3, sources, sourcesContent, names: [], mappings: '' });
+
+test('cleanPath turns bundler source names into relative paths', () => {
+  assert.equal(unpacker.cleanPath('webpack://app/./src/api/admin.ts'), 'src/api/admin.ts');
+  assert.equal(unpacker.cleanPath('webpack:///./src/a.js?abc'), 'src/a.js');
+  assert.equal(unpacker.cleanPath('vite:/src/main.ts'), 'src/main.ts');
+  assert.equal(unpacker.cleanPath('https://cdn.example/src/q.js#x'), 'src/q.js');
+  assert.equal(unpacker.cleanPath('../../src/x/../y.js'), 'src/y.js');
+  assert.equal(unpacker.cleanPath('a.js', 'src/'), 'src/a.js');
+  assert.equal(unpacker.cleanPath('webpack:///webpack/bootstrap'), null);
+});
+
+test('unpack keeps sources with content, skipping node_modules and runtime files', () => {
+  const map = sourceMap(
+    ['webpack://app/./src/b.js', 'webpack://app/./node_modules/lib/index.js', 'webpack/runtime/chunk', 'webpack://app/./src/a.js'],
+    ['B', 'L', 'R', 'A']
+  );
+
+  assert.deepEqual(unpacker.unpack(map), [
+    { path: 'src/a.js', content: 'A', size: 1 },
+    { path: 'src/b.js', content: 'B', size: 1 }
+  ]);
+  assert.deepEqual(new SourceMapUnpacker({ includeNodeModules: true }).unpack(`)]}'\n${map}`).map(f => f.path),
+    ['node_modules/lib/index.js', 'src/a.js', 'src/b.js']);
+  assert.deepEqual(unpacker.unpack(JSON.stringify({ version: 3, sections: [{ map: JSON.parse(sourceMap(['c.js'], ['C'])) }] })),
+    [{ path: 'c.js', content: 'C', size: 1 }]);
+  assert.throws(() => unpacker.unpack('not json'), /Invalid source map/);
+});
+
+test('findSourceMapUrl uses the header or the last sourceMappingURL comment', () => {
+  const content = 'x();\n//# sourceMappingURL=old.js.map\n//# sourceMappingURL=app.js.map\n';
+  assert.equal(unpacker.findSourceMapUrl({ url: 'https://a.example/js/app.js', content }), 'https://a.example/js/app.js.map');
+  assert.equal(unpacker.findSourceMapUrl({ url: 'https://a.example/js/app.js', content, headers: { sourcemap: '/maps/app.map' } }),
+    'https://a.example/maps/app.map');
+  assert.equal(unpacker.decodeDataUrl(`data:application/json;base64,${Buffer.from('{"version":3}').toString('base64')}`), '{"version":3}');
+});
+
+test('scans store original files and report updated ones', async () => {
+  const site = await startSite({
+    '/': { type: 'text/html', body: '<html><script src="/app.js"></script></html>' },
+    '/app.js': { type: 'application/javascript', body: 'a();\n//# sourceMappingURL=app.js.map\n' },
+    '/app.js.map': { type: 'application/json', body: sourceMap(['webpack://app/./src/a.js', 'webpack://app/./src/b.js'], ['a();\n', 'b();\n']) }
+  });
+  const { dir, cleanup } = tempDataDir();
+  try {
+    const monitor = new UCMon({ dbPath: dir, notify: false, extractor: { mode: 'fetch' } });
+    const first = await monitor.scan(site.url);
+    site.files['/app.js'].body = 'a(2);\n//# sourceMappingURL=app.js.map\n';
+    site.files['/app.js.map'].body = sourceMap(['webpack://app/./src/a.js', 'webpack://app/./src/b.js'], ['a(2);\n', 'b();\n']);
+    const second = await monitor.scan(site.url);
+
+    assert.deepEqual(first.scripts[0].sourceMap.new, ['src/a.js', 'src/b.js']);
+    assert.deepEqual(second.scripts[0].sourceMap.updated.map(f => [f.path, f.stats.additions, f.stats.deletions]), [['src/a.js', 1, 1]]);
+    const script = monitor.storage.findScript(monitor.storage.getTarget('127.0.0.1').id, second.scripts[0].identifier);
+    assert.deepEqual(monitor.getSourceFiles(script.id).map(f => f.path), ['src/a.js', 'src/b.js']);
+    monitor.close();
+  } finally {
+    cleanup();
+    await site.close();
+  }
+});
+
+test('a malformed inline source map is skipped instead of failing the scan', async () => {
+  const extractor = new JSExtractor({ mode: 'fetch' });
+  const script = {
+    url: 'https://a.example/app.js',
+    content: 'var x=1;\n//# sourceMappingURL=data:application/json,%E0%A4%A\n'
+  };
+
+  await extractor.attachSourceMaps([script]);
+  assert.equal(script.sourceMapUrl, 'inline');
+  assert.equal(script.sourceMap, undefined);
+});
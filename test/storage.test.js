@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UCMon } from '../src/index.js';
+import { Storage } from '../src/storage.js';
+import { tempDataDir, startSite } from './helpers.js';
+
+test('scans diff new versions without holding the SQLite write lock', async () => {
+  const site = await startSite({
+    '/': { type: 'text/html', body: '<html><script src="/app.js"></script></html>' },
+    '/app.js': { type: 'application/javascript', body: 'function a(){return fetch("/api/v1/users")}\n' }
+  });
+  const { dir, cleanup } = tempDataDir();
+  const monitor = new UCMon({
+    storage: new Storage(dir, { backend: 'sqlite' }),
+    notify: false,
+    extractor: { mode: 'fetch' }
+  });
+  const other = new Storage(dir, { backend: 'sqlite' }); // Another process writing to the same database
+  try {
+    await monitor.scan(site.url);
+    site.files['/app.js'].body = 'function a(){return fetch("/api/v2/users")}\n';
+
+    const writes = [];
+    const diff = monitor.differ.diff.bind(monitor.differ);
+    monitor.differ.diff = async (...args) => {
+      writes.push(other.getOrCreateTarget(`writer-${writes.length}.example`).domain);
+      return diff(...args);
+    };
+
+    const results = await monitor.scan(site.url);
+    assert.equal(results.changes.length, 1);
+    assert.ok(writes.length > 0);
+  } finally {
+    monitor.close();
+    other.close();
+    cleanup();
+    await site.close();
+  }
+});